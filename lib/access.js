@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+// Salted scrypt hash, stored as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, 'hex');
+    return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function sign(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+// Token proving the password for `shortId` was entered: "<expires>.<signature>"
+function createAccessToken(shortId, secret, ttlMs) {
+    const expires = Date.now() + ttlMs;
+    return `${expires}.${sign(`${shortId}.${expires}`, secret)}`;
+}
+
+function verifyAccessToken(token, shortId, secret) {
+    const [expires, signature] = String(token || '').split('.');
+    if (!expires || !signature || Number(expires) < Date.now()) {
+        return false;
+    }
+    const expected = Buffer.from(sign(`${shortId}.${expires}`, secret));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Signature of a download URL of `shortId` that is valid until `expires` (Unix seconds).
+// The "url." prefix keeps these apart from access tokens, which sign the same values.
+function createUrlSignature(shortId, expires, secret) {
+    return sign(`url.${shortId}.${expires}`, secret);
+}
+
+function verifyUrlSignature(shortId, expires, signature, secret) {
+    if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 < Date.now() || !signature) {
+        return false;
+    }
+    const expected = Buffer.from(createUrlSignature(shortId, expires, secret));
+    const actual = Buffer.from(String(signature));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Host names of a Referer allowlist, given as a list or a comma separated string of host names
+// or URLs; null if an entry is neither
+function parseHostList(value) {
+    const hosts = [];
+    for (const entry of Array.isArray(value) ? value : String(value).split(',')) {
+        const text = String(entry).trim().toLowerCase();
+        if (!text) continue;
+        try {
+            const { hostname } = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `http://${text}`);
+            if (!/^[a-z0-9.-]+$/.test(hostname)) return null;
+            hosts.push(hostname);
+        } catch (err) {
+            return null;
+        }
+    }
+    return [...new Set(hosts)];
+}
+
+// Whether the page in a Referer header is on one of `hosts` or their subdomains
+function isRefererAllowed(referer, hosts) {
+    let hostname;
+    try {
+        hostname = new URL(referer).hostname.toLowerCase();
+    } catch (err) {
+        return false;
+    }
+    return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// Parse a Cookie header into an object
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (err) {
+            // ignore malformed values
+        }
+    }
+    return cookies;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createAccessToken,
+    verifyAccessToken,
+    createUrlSignature,
+    verifyUrlSignature,
+    parseHostList,
+    isRefererAllowed,
+    parseCookies
+};
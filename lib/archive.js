@@ -0,0 +1,443 @@
+const zlib = require('zlib');
+const stream = require('stream');
+const { updateCrc32 } = require('./zip');
+
+// Listing and single-entry extraction for zip and tar(.gz) archives in storage.
+// Zip archives are read with byte ranges: the central directory at the end lists every entry
+// and where its data starts, so one entry is extracted without reading the rest.
+// Tar has no index, so it is read from the start (through gunzip for .tar.gz).
+//
+// `read(range)` is the storage read function: it resolves with a stream of the archive,
+// optionally limited to an inclusive { start, end } byte range.
+
+const MAX_ENTRIES = 10000;
+const MAX_CENTRAL_DIRECTORY_SIZE = 64 * 1024 * 1024;
+// Tar is read up to an entry, and a small .tar.gz can unpack to far more than its size,
+// so a walk stops after this much tar data; entries further in are left out of the listing
+const MAX_TAR_SCAN_SIZE = 256 * 1024 * 1024;
+const EOCD_SEARCH_SIZE = 22 + 65535; // end of central directory record + maximum comment
+
+const ARCHIVE_FORMATS = {
+    'application/zip': 'zip',
+    'application/x-tar': 'tar',
+    'application/gzip': 'tar.gz'
+};
+
+// Gzip compresses single files as well, so only these names are taken for tarballs
+const TARBALL_NAME_PATTERN = /\.(?:tar\.gz|tgz)$/i;
+
+// Archive format of a file by its content type and name, null if it is not a supported archive
+function getArchiveFormat(contentType, fileName) {
+    const format = ARCHIVE_FORMATS[contentType] || null;
+    if (format === 'tar.gz' && !TARBALL_NAME_PATTERN.test(fileName || '')) {
+        return null;
+    }
+    return format;
+}
+
+function createArchiveError(message) {
+    const err = new Error(message);
+    err.archiveError = true;
+    return err;
+}
+
+// Archives choose their own entry names. Make them relative paths without "..", so names like
+// "../../etc/passwd" or "C:\\Windows\\evil.dll" can't point outside a directory they are extracted to.
+// Returns { path, unsafe }; unsafe entries are listed but can't be extracted.
+function sanitizeEntryPath(name) {
+    const parts = name
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .replace(/\\/g, '/')
+        .replace(/^[a-zA-Z]:/, '')
+        .split('/');
+    const unsafe = parts.includes('..');
+    const clean = parts.filter(part => part && part !== '.' && part !== '..');
+    return { path: clean.join('/'), unsafe: unsafe || clean.length === 0 };
+}
+
+async function readBuffer(read, start, end) {
+    const chunks = [];
+    for await (const chunk of await read({ start, end })) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// DOS date and time fields of zip entries
+function fromDosDateTime(date, time) {
+    if (!date) return null;
+    return new Date(Date.UTC(
+        ((date >> 9) & 0x7f) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+        (time >> 11) & 0x1f, (time >> 5) & 0x3f, (time & 0x1f) * 2
+    ));
+}
+
+// ZIP64 stores sizes and offsets that don't fit in 32 bits in an extra field
+function readZip64Extra(extra, entry) {
+    for (let pos = 0; pos + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(pos);
+        const size = extra.readUInt16LE(pos + 2);
+        if (id === 0x0001) {
+            let field = pos + 4;
+            for (const name of ['size', 'compressedSize', 'offset']) {
+                if (entry[name] === 0xffffffff && field + 8 <= pos + 4 + size) {
+                    entry[name] = Number(extra.readBigUInt64LE(field));
+                    field += 8;
+                }
+            }
+        }
+        pos += 4 + size;
+    }
+}
+
+async function findZipCentralDirectory(read, archiveSize) {
+    const tailStart = Math.max(0, archiveSize - EOCD_SEARCH_SIZE);
+    const tail = await readBuffer(read, tailStart, archiveSize - 1);
+    let eocd = -1;
+    for (let pos = tail.length - 22; pos >= 0; pos--) {
+        if (tail.readUInt32LE(pos) === 0x06054b50) {
+            eocd = pos;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw createArchiveError('Not a zip archive or the archive is damaged');
+    }
+
+    let count = tail.readUInt16LE(eocd + 10);
+    let size = tail.readUInt32LE(eocd + 12);
+    let offset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+        // ZIP64: a locator right before the record points to the ZIP64 end of central directory
+        const locator = eocd - 20;
+        if (locator < 0 || tail.readUInt32LE(locator) !== 0x07064b50) {
+            throw createArchiveError('Damaged ZIP64 archive');
+        }
+        const recordOffset = Number(tail.readBigUInt64LE(locator + 8));
+        const record = await readBuffer(read, recordOffset, recordOffset + 55);
+        if (record.length < 56 || record.readUInt32LE(0) !== 0x06064b50) {
+            throw createArchiveError('Damaged ZIP64 archive');
+        }
+        count = Number(record.readBigUInt64LE(32));
+        size = Number(record.readBigUInt64LE(40));
+        offset = Number(record.readBigUInt64LE(48));
+    }
+    if (offset + size > archiveSize) {
+        throw createArchiveError('Damaged zip archive');
+    }
+    return { count, size, offset };
+}
+
+async function listZip(read, archiveSize) {
+    const directory = await findZipCentralDirectory(read, archiveSize);
+    if (directory.size > MAX_CENTRAL_DIRECTORY_SIZE) {
+        throw createArchiveError('The archive has too many entries to list');
+    }
+    const data = directory.size ? await readBuffer(read, directory.offset, directory.offset + directory.size - 1) : Buffer.alloc(0);
+
+    const entries = [];
+    let pos = 0;
+    while (pos + 46 <= data.length && data.readUInt32LE(pos) === 0x02014b50 && entries.length < MAX_ENTRIES) {
+        const flags = data.readUInt16LE(pos + 8);
+        const nameLength = data.readUInt16LE(pos + 28);
+        const extraLength = data.readUInt16LE(pos + 30);
+        const commentLength = data.readUInt16LE(pos + 32);
+        // Bit 11: UTF-8 names; older tools use the DOS code page, which latin1 approximates
+        const name = data.toString(flags & 0x800 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength);
+        const entry = {
+            method: data.readUInt16LE(pos + 10),
+            encrypted: !!(flags & 0x1),
+            crc: data.readUInt32LE(pos + 16),
+            compressedSize: data.readUInt32LE(pos + 20),
+            size: data.readUInt32LE(pos + 24),
+            offset: data.readUInt32LE(pos + 42)
+        };
+        readZip64Extra(data.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength), entry);
+
+        const { path, unsafe } = sanitizeEntryPath(name);
+        const isDirectory = name.endsWith('/') || name.endsWith('\\');
+        entries.push({
+            index: entries.length,
+            path,
+            size: entry.size,
+            compressedSize: entry.compressedSize,
+            modified: fromDosDateTime(data.readUInt16LE(pos + 14), data.readUInt16LE(pos + 12)),
+            isDirectory,
+            // Stored and deflated entries cover nearly every zip; encrypted ones need the password
+            extractable: !isDirectory && !unsafe && !entry.encrypted && (entry.method === 0 || entry.method === 8),
+            unsafe,
+            location: { method: entry.method, offset: entry.offset, compressedSize: entry.compressedSize, crc: entry.crc }
+        });
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return { entries, truncated: entries.length < directory.count };
+}
+
+// Checks the data of a zip entry against the central directory as it passes. A few kilobytes can
+// inflate to gigabytes, so more than the declared size fails right away; size and CRC-32 are checked
+// at the end, with the last chunk held back until then so a damaged entry never arrives complete.
+function createZipEntryCheck(size, crc) {
+    let length = 0;
+    let actualCrc = 0;
+    let last = null;
+    return new stream.Transform({
+        transform(chunk, encoding, callback) {
+            length += chunk.length;
+            if (length > size) {
+                return callback(createArchiveError('The entry is larger than the archive says'));
+            }
+            actualCrc = updateCrc32(actualCrc, chunk);
+            const previous = last;
+            last = chunk;
+            callback(null, previous);
+        },
+        flush(callback) {
+            if (length !== size || actualCrc !== crc) {
+                return callback(createArchiveError('The entry is damaged'));
+            }
+            callback(null, last);
+        }
+    });
+}
+
+async function extractZipEntry(read, entry) {
+    const { method, offset, compressedSize, crc } = entry.location;
+    // The local header repeats the name and extra field, with lengths that may differ from the central directory
+    const header = await readBuffer(read, offset, offset + 29);
+    if (header.length < 30 || header.readUInt32LE(0) !== 0x04034b50) {
+        throw createArchiveError('Damaged zip archive');
+    }
+    const dataStart = offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const data = compressedSize > 0 ? await read({ start: dataStart, end: dataStart + compressedSize - 1 }) : stream.Readable.from([]);
+    const check = createZipEntryCheck(entry.size, crc);
+    if (method === 0) {
+        return stream.pipeline(data, check, () => {});
+    }
+    return stream.pipeline(data, zlib.createInflateRaw(), check, () => {});
+}
+
+// Reads a tar stream block by block
+function createBlockReader(source) {
+    const iterator = source[Symbol.asyncIterator]();
+    let buffered = [];
+    let bufferedLength = 0;
+    let position = 0;
+
+    async function fill(length) {
+        while (bufferedLength < length) {
+            const { done, value } = await iterator.next();
+            if (done) return false;
+            if (value.length) {
+                buffered.push(value);
+                bufferedLength += value.length;
+            }
+        }
+        return true;
+    }
+
+    // Take `length` bytes from what has been read
+    function take(length) {
+        if (buffered[0].length < length) {
+            buffered = [Buffer.concat(buffered)];
+        }
+        const data = buffered[0].subarray(0, length);
+        buffered[0] = buffered[0].subarray(length);
+        if (!buffered[0].length) buffered.shift();
+        bufferedLength -= length;
+        position += length;
+        return data;
+    }
+
+    return {
+        async read(length) {
+            return (await fill(length)) ? take(length) : null;
+        },
+        // Pass on `length` bytes chunk by chunk, e.g. the data of one entry
+        async *chunks(length) {
+            while (length > 0) {
+                if (bufferedLength === 0 && !(await fill(1))) {
+                    throw createArchiveError('The archive is truncated');
+                }
+                const chunk = take(Math.min(length, buffered[0].length));
+                length -= chunk.length;
+                yield chunk;
+            }
+        },
+        // Bytes read but not taken yet, e.g. the start of a stream too short to hold a block
+        get pending() {
+            return bufferedLength;
+        },
+        // Bytes taken so far
+        get position() {
+            return position;
+        },
+        async skip(length) {
+            for await (const chunk of this.chunks(length)) {
+                // discard
+            }
+        },
+        close() {
+            if (iterator.return) iterator.return();
+        }
+    };
+}
+
+function parseOctal(block, start, length) {
+    // Base-256 (GNU) for sizes over 8GB
+    if (block[start] & 0x80) {
+        let value = 0;
+        for (let i = start + 1; i < start + length; i++) value = value * 256 + block[i];
+        return value;
+    }
+    const text = block.toString('latin1', start, start + length).replace(/\0.*$/, '').trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+function readTarString(block, start, length) {
+    return block.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+}
+
+// pax extended header records: "<length> <key>=<value>\n"
+function parsePaxHeader(data) {
+    const values = {};
+    const text = data.toString('utf8');
+    let pos = 0;
+    while (pos < text.length) {
+        const space = text.indexOf(' ', pos);
+        const length = parseInt(text.slice(pos, space), 10);
+        if (!(length > 0)) break;
+        const record = text.slice(space + 1, pos + length - 1);
+        const equals = record.indexOf('=');
+        if (equals !== -1) values[record.slice(0, equals)] = record.slice(equals + 1);
+        pos += length;
+    }
+    return values;
+}
+
+// Walk the entries of a tar stream. `visit(entry, reader, size)` may consume the entry's data
+// and resolves with true to stop; the source is released when the walk ends.
+// Resolves with true if the walk stopped at MAX_TAR_SCAN_SIZE before the end of the archive.
+async function walkTar(source, visit) {
+    const reader = createBlockReader(source);
+    let longName = null;
+    let pax = {};
+    let index = 0;
+    try {
+        while (true) {
+            const block = await reader.read(512);
+            if (!block && index === 0 && reader.pending > 0) {
+                throw createArchiveError('Not a tar archive');
+            }
+            if (!block || block.every(byte => byte === 0)) break;
+            if (index === 0 && block.toString('latin1', 257, 262) !== 'ustar' && !isPlausibleTarHeader(block)) {
+                throw createArchiveError('Not a tar archive');
+            }
+
+            const type = String.fromCharCode(block[156] || 48);
+            const size = pax.size !== undefined ? Number(pax.size) : parseOctal(block, 124, 12);
+            const padded = Math.ceil(size / 512) * 512;
+
+            // GNU long names and pax headers describe the entry that follows
+            if (type === 'L' || type === 'x' || type === 'g') {
+                if (reader.position + padded > MAX_TAR_SCAN_SIZE) return true;
+                const data = await reader.read(padded);
+                if (!data) throw createArchiveError('The archive is truncated');
+                if (type === 'L') longName = readTarString(data, 0, size);
+                if (type === 'x') pax = parsePaxHeader(data.subarray(0, size));
+                continue;
+            }
+
+            const prefix = block.toString('latin1', 257, 262) === 'ustar' ? readTarString(block, 345, 155) : '';
+            const rawName = pax.path || longName || (prefix ? `${prefix}/` : '') + readTarString(block, 0, 100);
+            longName = null;
+            pax = {};
+
+            const { path, unsafe } = sanitizeEntryPath(rawName);
+            const isDirectory = type === '5' || rawName.endsWith('/');
+            const isFile = type === '0' || type === '7' || block[156] === 0;
+            const entry = {
+                index: index++,
+                path,
+                size: isFile ? size : 0,
+                compressedSize: null,
+                modified: new Date(parseOctal(block, 136, 12) * 1000),
+                isDirectory,
+                // Links and devices have no data of their own
+                extractable: isFile && !isDirectory && !unsafe,
+                unsafe
+            };
+            if (await visit(entry, reader, size)) {
+                return false;
+            }
+            if (reader.position + padded > MAX_TAR_SCAN_SIZE) return true;
+            await reader.skip(padded);
+        }
+        return false;
+    } finally {
+        reader.close();
+    }
+}
+
+// Old (v7) tar headers have no magic; their checksum still has to match
+function isPlausibleTarHeader(block) {
+    const checksum = parseOctal(block, 148, 8);
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 32 : block[i];
+    return checksum === sum;
+}
+
+async function openTar(read, format) {
+    const source = await read();
+    if (format !== 'tar.gz') return source;
+    const gunzip = zlib.createGunzip();
+    return stream.pipeline(source, gunzip, () => {});
+}
+
+async function listTar(read, format) {
+    const entries = [];
+    let truncated = false;
+    const stopped = await walkTar(await openTar(read, format), (entry) => {
+        if (entries.length >= MAX_ENTRIES) {
+            truncated = true;
+            return true;
+        }
+        entries.push(entry);
+        return false;
+    });
+    return { entries, truncated: truncated || stopped };
+}
+
+async function extractTarEntry(read, format, index) {
+    const source = await openTar(read, format);
+    return new Promise((resolve, reject) => {
+        walkTar(source, (entry, reader, size) => {
+            if (entry.index !== index) return false;
+            // The stream pulls the entry's data on demand; the walk (and the source) ends when it closes
+            const data = stream.Readable.from(reader.chunks(size));
+            resolve(data);
+            return new Promise(done => data.once('close', () => done(true)));
+        }).then(() => reject(createArchiveError('Entry not found')), reject);
+    });
+}
+
+// { entries, truncated } of an archive. Entries are { index, path, size, compressedSize,
+// modified, isDirectory, extractable, unsafe }; zip entries also carry where their data is.
+async function listArchive(read, { format, size }) {
+    if (format === 'zip') {
+        return listZip(read, size);
+    }
+    return listTar(read, format);
+}
+
+// Stream of one entry's content, from an entry of listArchive
+async function extractArchiveEntry(read, { format }, entry) {
+    if (!entry.extractable) {
+        throw createArchiveError('This entry can\'t be extracted');
+    }
+    if (format === 'zip') {
+        return extractZipEntry(read, entry);
+    }
+    return extractTarEntry(read, format, entry.index);
+}
+
+module.exports = { getArchiveFormat, sanitizeEntryPath, listArchive, extractArchiveEntry };
@@ -0,0 +1,112 @@
+const { Transform } = require('stream');
+
+// Download limits per client IP. All streams of an IP share one bandwidth budget: every chunk
+// reserves its share of time on the IP's schedule and is passed on when that time has come, so
+// opening more streams doesn't add bandwidth. How many streams an IP may have open is capped too.
+// The limits are read on every use, so changes to the admin settings apply to running downloads.
+
+// An idle client may send this much ahead of its schedule, so small files and the start of a stream aren't delayed
+const BURST_MS = 1000;
+
+// `getLimits()` returns { bytesPerSecond, maxStreams }, 0 meaning unlimited
+function createDownloadLimiter(getLimits) {
+    const clients = new Map(); // ip -> { streams, nextSendAt }
+    let prunedAt = 0;
+
+    function isIdle(client, now) {
+        return client.streams <= 0 && client.nextSendAt <= now;
+    }
+
+    // Clients whose last stream ended ahead of schedule are left behind by release(), so the
+    // map is swept for idle ones now and then
+    function getClient(ip) {
+        const now = Date.now();
+        if (now - prunedAt >= BURST_MS) {
+            prunedAt = now;
+            for (const [key, client] of clients) {
+                if (isIdle(client, now)) clients.delete(key);
+            }
+        }
+        let client = clients.get(ip);
+        if (!client) {
+            client = { streams: 0, nextSendAt: 0 };
+            clients.set(ip, client);
+        }
+        return client;
+    }
+
+    // Forget clients without open streams once their schedule has passed
+    function release(ip, client) {
+        client.streams--;
+        if (isIdle(client, Date.now())) {
+            clients.delete(ip);
+        }
+    }
+
+    // Transform that passes chunks on at the client's pace
+    function createThrottle(client) {
+        let timer = null;
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                const { bytesPerSecond } = getLimits();
+                if (!bytesPerSecond) {
+                    return callback(null, chunk);
+                }
+                const now = Date.now();
+                client.nextSendAt = Math.max(client.nextSendAt, now - BURST_MS) + chunk.length / bytesPerSecond * 1000;
+                const wait = client.nextSendAt - now;
+                if (wait <= 0) {
+                    return callback(null, chunk);
+                }
+                timer = setTimeout(() => {
+                    timer = null;
+                    callback(null, chunk);
+                }, wait);
+            },
+            destroy(err, callback) {
+                clearTimeout(timer);
+                callback(err);
+            }
+        });
+    }
+
+    // Open a stream for `ip`: resolves to { throttle(source), release() }, or null when the IP has
+    // too many streams open. `throttle` returns the stream to send instead of `source`.
+    function open(ip) {
+        const { maxStreams } = getLimits();
+        const client = getClient(ip);
+        if (maxStreams && client.streams >= maxStreams) {
+            return null;
+        }
+        client.streams++;
+
+        let released = false;
+        return {
+            throttle(source) {
+                const throttled = createThrottle(client);
+                source.on('error', err => throttled.destroy(err));
+                throttled.on('close', () => source.destroy());
+                return source.pipe(throttled);
+            },
+            release() {
+                if (!released) {
+                    released = true;
+                    release(ip, client);
+                }
+            }
+        };
+    }
+
+    // Open streams per IP, for the admin status
+    function getActiveStreams() {
+        const active = {};
+        for (const [ip, client] of clients) {
+            if (client.streams > 0) active[ip] = client.streams;
+        }
+        return active;
+    }
+
+    return { open, getActiveStreams };
+}
+
+module.exports = { createDownloadLimiter };
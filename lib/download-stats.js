@@ -0,0 +1,77 @@
+// Download accounting: responses of the file routes are added up per file in hourly buckets,
+// which server.js flushes to MongoDB (DownloadStat) now and then.
+// A download is one visitor (IP) fetching a file within an hour, however many requests it took,
+// so seeking in a video or resuming a download doesn't count again. It is a full download
+// when one response carried the whole file, otherwise the visitor only fetched parts of it.
+
+const BUCKET_SIZE = 60 * 60 * 1000;
+
+const DOWNLOAD_COUNTERS = ['requests', 'rangeRequests', 'downloads', 'fullDownloads', 'bytes'];
+
+function getBucketStart(time) {
+    return new Date(Math.floor(time / BUCKET_SIZE) * BUCKET_SIZE);
+}
+
+function createDownloadCounter() {
+    let pending = new Map();  // `${shortId}/${hour}` -> counters not flushed yet
+    const visitors = new Map(); // `${shortId}/${hour}` -> { all, full } sets of IPs, for the current hour only
+
+    // `partial`: a range (or a segment) of the file was asked for; `complete`: the response was sent to the end
+    function record({ shortId, fileName, ip, bytes, partial, complete, time = Date.now() }) {
+        const hour = getBucketStart(time);
+        const key = `${shortId}/${hour.getTime()}`;
+        let counts = pending.get(key);
+        if (!counts) {
+            counts = { shortId, fileName, hour, requests: 0, rangeRequests: 0, downloads: 0, fullDownloads: 0, bytes: 0 };
+            pending.set(key, counts);
+        }
+        let seen = visitors.get(key);
+        if (!seen) {
+            seen = { all: new Set(), full: new Set() };
+            visitors.set(key, seen);
+        }
+
+        counts.requests++;
+        counts.bytes += bytes;
+        if (partial) {
+            counts.rangeRequests++;
+        }
+        if (!seen.all.has(ip)) {
+            seen.all.add(ip);
+            counts.downloads++;
+        }
+        if (!partial && complete && !seen.full.has(ip)) {
+            seen.full.add(ip);
+            counts.fullDownloads++;
+        }
+    }
+
+    // Counters gathered since the last call. Visitors of past hours are forgotten, no more requests land there.
+    function drain(now = Date.now()) {
+        const drained = [...pending.values()];
+        pending = new Map();
+        const currentHour = getBucketStart(now).getTime();
+        for (const key of visitors.keys()) {
+            if (Number(key.slice(key.lastIndexOf('/') + 1)) < currentHour) {
+                visitors.delete(key);
+            }
+        }
+        return drained;
+    }
+
+    return { record, drain };
+}
+
+// Add up DownloadStat records (or drained counters)
+function sumDownloadStats(stats) {
+    const totals = Object.fromEntries(DOWNLOAD_COUNTERS.map(name => [name, 0]));
+    for (const stat of stats) {
+        for (const name of DOWNLOAD_COUNTERS) {
+            totals[name] += stat[name] || 0;
+        }
+    }
+    totals.partialDownloads = totals.downloads - totals.fullDownloads;
+    return totals;
+}
+
+module.exports = { DOWNLOAD_COUNTERS, getBucketStart, createDownloadCounter, sumDownloadStats };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+
+// Detect a file's content type from its first bytes instead of trusting the file name.
+
+const SNIFF_LENGTH = 4096;
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const THEORA_HEADER = Buffer.from('\x80theora', 'latin1');
+
+function startsWith(header, bytes, offset = 0) {
+    if (header.length < offset + bytes.length) return false;
+    return bytes.every((byte, i) => header[offset + i] === byte);
+}
+
+function ascii(header, start, end) {
+    return header.length >= end ? header.toString('latin1', start, end) : '';
+}
+
+// Binary signatures, checked in order
+const SIGNATURES = [
+    [h => startsWith(h, [0xFF, 0xD8, 0xFF]), 'image/jpeg'],
+    [h => startsWith(h, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), 'image/png'],
+    [h => ascii(h, 0, 6) === 'GIF87a' || ascii(h, 0, 6) === 'GIF89a', 'image/gif'],
+    [h => ascii(h, 0, 4) === 'RIFF' && ascii(h, 8, 12) === 'WEBP', 'image/webp'],
+    [h => ascii(h, 0, 4) === 'RIFF' && ascii(h, 8, 12) === 'WAVE', 'audio/wav'],
+    [h => ascii(h, 0, 4) === 'RIFF' && ascii(h, 8, 12) === 'AVI ', 'video/x-msvideo'],
+    [h => ascii(h, 0, 2) === 'BM' && h.length >= 14 && h.readUInt32LE(6) === 0, 'image/bmp'],
+    [h => startsWith(h, [0x00, 0x00, 0x01, 0x00]) && h.length >= 6 && h.readUInt16LE(4) > 0, 'image/x-icon'],
+    [h => startsWith(h, [0x49, 0x49, 0x2A, 0x00]) || startsWith(h, [0x4D, 0x4D, 0x00, 0x2A]), 'image/tiff'],
+    [h => ascii(h, 0, 4) === '8BPS', 'image/vnd.adobe.photoshop'],
+    [h => ascii(h, 4, 8) === 'ftyp', detectIsoMedia],
+    [h => startsWith(h, [0x1A, 0x45, 0xDF, 0xA3]), h => h.includes('webm') ? 'video/webm' : 'video/x-matroska'],
+    [h => ascii(h, 0, 4) === 'OggS', h => h.includes(THEORA_HEADER) ? 'video/ogg' : 'audio/ogg'],
+    [h => ascii(h, 0, 4) === 'fLaC', 'audio/flac'],
+    [h => ascii(h, 0, 3) === 'ID3', 'audio/mpeg'],
+    [h => h.length >= 2 && h[0] === 0xFF && (h[1] & 0xF6) === 0xF0, 'audio/aac'],  // ADTS
+    [h => h.length >= 2 && h[0] === 0xFF && (h[1] & 0xE0) === 0xE0 && (h[1] & 0x06) !== 0, 'audio/mpeg'],
+    [h => ascii(h, 0, 4) === 'MThd', 'audio/midi'],
+    [h => ascii(h, 0, 3) === 'FLV', 'video/x-flv'],
+    [h => startsWith(h, [0x00, 0x00, 0x01, 0xBA]) || startsWith(h, [0x00, 0x00, 0x01, 0xB3]), 'video/mpeg'],
+    [h => h.length > 188 && h[0] === 0x47 && h[188] === 0x47, 'video/mp2t'],
+    [h => ascii(h, 0, 5) === '%PDF-', 'application/pdf'],
+    [h => ascii(h, 0, 5) === '{\\rtf', 'application/rtf'],
+    [h => ascii(h, 0, 4) === 'PK\x03\x04' || ascii(h, 0, 4) === 'PK\x05\x06', 'application/zip'],
+    [h => startsWith(h, [0x1F, 0x8B]), 'application/gzip'],
+    [h => ascii(h, 0, 3) === 'BZh', 'application/x-bzip2'],
+    [h => startsWith(h, [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00]), 'application/x-xz'],
+    [h => startsWith(h, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]), 'application/x-7z-compressed'],
+    [h => ascii(h, 0, 6) === 'Rar!\x1A\x07', 'application/vnd.rar'],
+    [h => ascii(h, 257, 262) === 'ustar', 'application/x-tar'],
+    [h => startsWith(h, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]), 'application/x-ole-storage'],
+    [h => ascii(h, 0, 16) === 'SQLite format 3\0', 'application/vnd.sqlite3'],
+    [h => ascii(h, 0, 4) === 'wOFF', 'font/woff'],
+    [h => ascii(h, 0, 4) === 'wOF2', 'font/woff2'],
+    [h => ascii(h, 0, 4) === 'OTTO', 'font/otf'],
+    [h => startsWith(h, [0x00, 0x01, 0x00, 0x00, 0x00]), 'font/ttf'],
+    // Executables
+    [h => ascii(h, 0, 2) === 'MZ', 'application/x-msdownload'],
+    [h => startsWith(h, [0x7F, 0x45, 0x4C, 0x46]), 'application/x-executable'],
+    [h => [0xFEEDFACE, 0xFEEDFACF, 0xCEFAEDFE, 0xCFFAEDFE].includes(h.length >= 4 ? h.readUInt32BE(0) : 0), 'application/x-mach-binary'],
+    [h => ascii(h, 0, 2) === '#!', 'text/x-shellscript']
+];
+
+// MP4 family: the major brand tells images, audio and QuickTime apart
+function detectIsoMedia(header) {
+    const brand = ascii(header, 8, 12);
+    if (HEIF_BRANDS.includes(brand)) return 'image/heic';
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    return 'video/mp4';
+}
+
+// Text is valid UTF-8 (or starts with a UTF-16 BOM) without NUL bytes; markup is told apart from plain text
+function detectText(header) {
+    if (startsWith(header, [0xFF, 0xFE]) || startsWith(header, [0xFE, 0xFF])) {
+        return 'text/plain';
+    }
+    if (header.includes(0)) return null;
+    let text;
+    try {
+        // stream: a multi-byte character cut off at the end of the header is not an error
+        text = new TextDecoder('utf-8', { fatal: true }).decode(header, { stream: true });
+    } catch (err) {
+        return null;
+    }
+    const start = text.replace(/^\uFEFF/, '').trimStart().slice(0, 512).toLowerCase();
+    if (/^<(!doctype html|html|head|body|script|iframe)[\s>]/.test(start)) return 'text/html';
+    if (start.startsWith('<svg') || (start.startsWith('<?xml') && /<svg[\s>]/.test(start))) return 'image/svg+xml';
+    if (start.startsWith('<?xml')) return 'application/xml';
+    return 'text/plain';
+}
+
+// Content type for the first bytes of a file, null if it is not recognised
+function detectContentType(header) {
+    for (const [matches, type] of SIGNATURES) {
+        if (matches(header)) {
+            return typeof type === 'function' ? type(header) : type;
+        }
+    }
+    return header.length ? detectText(header) : 'text/plain';
+}
+
+// Content type of a file by its first bytes, or of the bytes from `offset` on
+async function detectFileContentType(filePath, offset = 0) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_LENGTH), 0, SNIFF_LENGTH, offset);
+        return detectContentType(buffer.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+}
+
+// Types browsers run scripts in when they are opened. Text only gets one of these when its content
+// looks like it (see detectText), never because of its name.
+const ACTIVE_TEXT_TYPES = ['text/html', 'image/svg+xml', 'application/xhtml+xml', 'application/xml', 'text/xml'];
+
+// Containers that several formats share; the extension may name the more specific format
+// as long as it is one of these
+const REFINEMENTS = {
+    'application/zip': type => type.startsWith('application/vnd.openxmlformats-officedocument.') ||
+        type.startsWith('application/vnd.oasis.opendocument.') ||
+        ['application/epub+zip', 'application/java-archive', 'application/vnd.android.package-archive'].includes(type),
+    'application/x-ole-storage': type => ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint',
+        'application/vnd.ms-outlook', 'application/x-msdownload'].includes(type),
+    'text/plain': type => !ACTIVE_TEXT_TYPES.includes(type) &&
+        (type.startsWith('text/') || ['application/json', 'application/javascript', 'application/x-sh'].includes(type)),
+    'application/xml': type => type.endsWith('+xml') || type === 'text/xml',
+    'video/mp4': type => ['audio/mp4', 'video/x-m4v', 'video/3gpp', 'video/3gpp2'].includes(type),
+    'audio/ogg': type => ['video/ogg', 'application/ogg'].includes(type),
+    'video/x-matroska': type => ['video/webm', 'audio/webm', 'audio/x-matroska'].includes(type),
+    'video/webm': type => type === 'audio/webm'
+};
+
+// Final content type of an upload: the detected type, narrowed by the extension's type when
+// both agree on the container. Unrecognised binary data is served as a download.
+function resolveContentType(detectedType, extensionType) {
+    if (!detectedType) return 'application/octet-stream';
+    const refine = REFINEMENTS[detectedType];
+    return refine && extensionType && refine(extensionType) ? extensionType : detectedType;
+}
+
+// Does `type` match one of the patterns ("image/png", "video/*")?
+function matchesTypePattern(type, patterns) {
+    return patterns.some(pattern => pattern.endsWith('/*')
+        ? type.startsWith(pattern.slice(0, -1))
+        : type === pattern);
+}
+
+module.exports = { detectContentType, detectFileContentType, resolveContentType, matchesTypePattern };
@@ -0,0 +1,71 @@
+// Link previews in chat apps and social networks: their crawlers get a small HTML page with
+// OpenGraph and Twitter card tags instead of the file, and can ask /api/oembed for an embed.
+
+// User agents of the bots that fetch link previews. Browsers never send these names.
+const CRAWLER_PATTERN = new RegExp([
+    'facebookexternalhit', 'facebookcatalog', 'Facebot', 'meta-externalagent', 'Twitterbot', 'Slackbot',
+    'Discordbot', 'TelegramBot', 'WhatsApp', 'LinkedInBot', 'SkypeUriPreview', 'Pinterestbot', 'redditbot',
+    'Embedly', 'vkShare', 'Iframely', 'Mastodon', 'Bluesky', 'Synapse', 'Google-PageRenderer', 'Applebot'
+].join('|'), 'i');
+
+function isLinkPreviewCrawler(userAgent) {
+    return !!userAgent && CRAWLER_PATTERN.test(userAgent);
+}
+
+// Scale `width` x `height` down to fit into `maxWidth` x `maxHeight` (either may be missing)
+function fitDimensions(width, height, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Meta tags of a preview. All URLs are absolute; `image`, `video` and `audio` are { url, type, width, height }
+// with optional dimensions and `player` is the embed page ({ url, width, height }) of videos and audio.
+function getLinkPreviewTags({ siteName, title, description, pageUrl, image, video, audio, player }) {
+    const tags = [
+        { property: 'og:site_name', content: siteName },
+        { property: 'og:title', content: title },
+        { property: 'og:description', content: description },
+        { property: 'og:url', content: pageUrl },
+        { property: 'og:type', content: video ? 'video.other' : 'website' }
+    ];
+    const addMedia = (kind, media) => {
+        tags.push({ property: `og:${kind}`, content: media.url });
+        if (media.url.startsWith('https:')) {
+            tags.push({ property: `og:${kind}:secure_url`, content: media.url });
+        }
+        if (media.type) {
+            tags.push({ property: `og:${kind}:type`, content: media.type });
+        }
+        if (media.width && media.height) {
+            tags.push({ property: `og:${kind}:width`, content: String(media.width) });
+            tags.push({ property: `og:${kind}:height`, content: String(media.height) });
+        }
+    };
+    if (image) addMedia('image', image);
+    if (video) addMedia('video', video);
+    if (audio) addMedia('audio', audio);
+
+    const card = player ? 'player' : image ? 'summary_large_image' : 'summary';
+    tags.push({ name: 'twitter:card', content: card });
+    tags.push({ name: 'twitter:title', content: title });
+    tags.push({ name: 'twitter:description', content: description });
+    if (image) {
+        tags.push({ name: 'twitter:image', content: image.url });
+        tags.push({ name: 'twitter:image:alt', content: title });
+    }
+    if (player) {
+        tags.push({ name: 'twitter:player', content: player.url });
+        tags.push({ name: 'twitter:player:width', content: String(player.width) });
+        tags.push({ name: 'twitter:player:height', content: String(player.height) });
+        const stream = video || audio;
+        if (stream) {
+            tags.push({ name: 'twitter:player:stream', content: stream.url });
+            if (stream.type) {
+                tags.push({ name: 'twitter:player:stream:content_type', content: stream.type });
+            }
+        }
+    }
+    return tags;
+}
+
+module.exports = { isLinkPreviewCrawler, fitDimensions, getLinkPreviewTags };
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const { runTool } = require('./tools');
+
+// Remove EXIF/XMP/IPTC and similar metadata from uploaded files.
+// JPEG, PNG and WebP are rewritten here; HEIC needs exiftool and MP4/MOV need ffmpeg.
+
+const MAX_IN_MEMORY_SIZE = 200 * 1024 * 1024; // images are rewritten in memory
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1', 'avif'];
+
+// Detect the container format from the first bytes of the file
+function detectFormat(header) {
+    if (header.length >= 3 && header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (header.length >= 8 && header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'png';
+    }
+    if (header.length >= 12 && header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    if (header.length >= 12 && header.toString('latin1', 4, 8) === 'ftyp') {
+        const brand = header.toString('latin1', 8, 12);
+        if (HEIF_BRANDS.includes(brand)) return 'heic';
+        return brand === 'qt  ' ? 'mov' : 'mp4';
+    }
+    return null;
+}
+
+// EXIF orientation (tag 0x0112) from a JPEG APP1 segment, 1 if missing or unreadable
+function readExifOrientation(segment) {
+    try {
+        const tiff = 10; // marker (2) + length (2) + "Exif\0\0" (6)
+        const littleEndian = segment.toString('latin1', tiff, tiff + 2) === 'II';
+        const u16 = (offset) => littleEndian ? segment.readUInt16LE(offset) : segment.readUInt16BE(offset);
+        const u32 = (offset) => littleEndian ? segment.readUInt32LE(offset) : segment.readUInt32BE(offset);
+
+        const ifd = tiff + u32(tiff + 4);
+        const count = u16(ifd);
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (u16(entry) === 0x0112) {
+                const orientation = u16(entry + 8);
+                return orientation >= 1 && orientation <= 8 ? orientation : 1;
+            }
+        }
+    } catch (err) {
+        // out of bounds: broken EXIF block
+    }
+    return 1;
+}
+
+// Minimal APP1 EXIF segment holding only the orientation, so rotated photos still display upright
+function createOrientationSegment(orientation) {
+    const segment = Buffer.alloc(36);
+    segment.writeUInt16BE(0xFFE1, 0);
+    segment.writeUInt16BE(34, 2);                // length excludes the marker
+    segment.write('Exif\0\0', 4, 'latin1');
+    segment.write('MM', 10, 'latin1');           // big endian TIFF header
+    segment.writeUInt16BE(42, 12);
+    segment.writeUInt32BE(8, 14);                // IFD0 right after the header
+    segment.writeUInt16BE(1, 18);                // one entry
+    segment.writeUInt16BE(0x0112, 20);           // Orientation
+    segment.writeUInt16BE(3, 22);                // SHORT
+    segment.writeUInt32BE(1, 24);
+    segment.writeUInt16BE(orientation, 28);
+    segment.writeUInt32BE(0, 32);                // no next IFD
+    return segment;
+}
+
+// APPn segments that carry metadata. APP0 (JFIF), ICC profiles in APP2 and APP14 (Adobe) affect rendering and are kept.
+function isJpegMetadataSegment(marker, segment) {
+    if (marker === 0xFE) return true; // comment
+    if (marker < 0xE1 || marker > 0xEF || marker === 0xEE) return false;
+    if (marker === 0xE2) return segment.toString('latin1', 4, 16) !== 'ICC_PROFILE\0';
+    return true;
+}
+
+function stripJpeg(buffer) {
+    const parts = [buffer.subarray(0, 2)];
+    let orientation = 1;
+    let pos = 2;
+
+    while (true) {
+        if (pos + 4 > buffer.length || buffer[pos] !== 0xFF) {
+            throw new Error('Invalid JPEG structure');
+        }
+        const marker = buffer[pos + 1];
+        if (marker === 0xFF) {
+            pos++; // fill byte
+            continue;
+        }
+        if (marker === 0xDA) {
+            // Start of scan: copy the image data up to the end of image marker. Anything after
+            // it (embedded previews, vendor trailers) can carry its own EXIF and is dropped.
+            const end = buffer.indexOf(Buffer.from([0xFF, 0xD9]), pos);
+            parts.push(end === -1 ? buffer.subarray(pos) : buffer.subarray(pos, end + 2));
+            break;
+        }
+        const end = pos + 2 + buffer.readUInt16BE(pos + 2);
+        if (end > buffer.length) {
+            throw new Error('Invalid JPEG structure');
+        }
+        const segment = buffer.subarray(pos, end);
+        if (isJpegMetadataSegment(marker, segment)) {
+            if (marker === 0xE1 && segment.toString('latin1', 4, 10) === 'Exif\0\0') {
+                orientation = readExifOrientation(segment);
+            }
+        } else {
+            parts.push(segment);
+        }
+        pos = end;
+    }
+
+    if (orientation !== 1) {
+        // after SOI, and after the JFIF header if there is one
+        const index = parts[1] && parts[1][1] === 0xE0 ? 2 : 1;
+        parts.splice(index, 0, createOrientationSegment(orientation));
+    }
+    return Buffer.concat(parts);
+}
+
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+function stripPng(buffer) {
+    const parts = [buffer.subarray(0, 8)];
+    let pos = 8;
+
+    while (pos + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(pos);
+        const type = buffer.toString('latin1', pos + 4, pos + 8);
+        const end = pos + 12 + length;
+        if (end > buffer.length) {
+            throw new Error('Invalid PNG structure');
+        }
+        if (!PNG_METADATA_CHUNKS.includes(type)) {
+            parts.push(buffer.subarray(pos, end));
+        }
+        pos = end;
+        if (type === 'IEND') {
+            return Buffer.concat(parts);
+        }
+    }
+    throw new Error('Invalid PNG structure');
+}
+
+function stripWebp(buffer) {
+    const parts = [];
+    let pos = 12;
+
+    while (pos + 8 <= buffer.length) {
+        const type = buffer.toString('latin1', pos, pos + 4);
+        const size = buffer.readUInt32LE(pos + 4);
+        const end = pos + 8 + size + (size % 2); // chunks are padded to an even size
+        if (pos + 8 + size > buffer.length) {
+            throw new Error('Invalid WebP structure');
+        }
+        if (type === 'VP8X') {
+            const chunk = Buffer.from(buffer.subarray(pos, end));
+            chunk[8] &= ~(0x08 | 0x04); // clear the EXIF and XMP flags
+            parts.push(chunk);
+        } else if (type !== 'EXIF' && type !== 'XMP ') {
+            parts.push(buffer.subarray(pos, Math.min(end, buffer.length)));
+        }
+        pos = end;
+    }
+
+    const body = Buffer.concat(parts);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+const IMAGE_STRIPPERS = { jpeg: stripJpeg, png: stripPng, webp: stripWebp };
+
+async function readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Strip metadata from the file at `filePath` in place.
+// Resolves with { stripped, format, reason } - reason explains why nothing was stripped.
+async function stripMetadata(filePath) {
+    const format = detectFormat(await readHeader(filePath));
+    if (!format) {
+        return { stripped: false, format: null, reason: 'Unsupported file type' };
+    }
+
+    const tempPath = `${filePath}.strip`;
+    try {
+        if (IMAGE_STRIPPERS[format]) {
+            const { size } = await fs.promises.stat(filePath);
+            if (size > MAX_IN_MEMORY_SIZE) {
+                return { stripped: false, format, reason: 'File is too large to process' };
+            }
+            const output = IMAGE_STRIPPERS[format](await fs.promises.readFile(filePath));
+            await fs.promises.writeFile(tempPath, output);
+        } else if (format === 'heic') {
+            await fs.promises.copyFile(filePath, tempPath);
+            await runTool('exiftool', ['-q', '-all=', '-overwrite_original', tempPath]);
+        } else {
+            await runTool('ffmpeg', [
+                '-v', 'error', '-y', '-i', filePath,
+                '-map', '0:v?', '-map', '0:a?', '-map', '0:s?',
+                '-map_metadata', '-1', '-map_chapters', '-1',
+                '-c', 'copy', '-fflags', '+bitexact', '-f', format,
+                tempPath
+            ]);
+        }
+        await fs.promises.rename(tempPath, filePath);
+        return { stripped: true, format };
+    } catch (err) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        if (err.toolMissing) {
+            const tool = format === 'heic' ? 'exiftool' : 'ffmpeg';
+            return { stripped: false, format, reason: `${tool} is not installed on the server` };
+        }
+        console.error(`Metadata stripping failed for ${format}:`, err.message);
+        return { stripped: false, format, reason: 'The file could not be processed' };
+    }
+}
+
+module.exports = { stripMetadata, detectFormat };
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Models shared by the server and the maintenance scripts (see rotate-encryption-key.js)
+
+const MONGODB_URL = 'mongodb://127.0.0.1/ohiofiles';
+
+// Update File model to track IP and size
+const File = mongoose.model('File', {
+    originalName: String,
+    storedName: String,
+    path: String,
+    shortId: String,
+    size: Number,
+    ip: String,
+    isPublic: { type: Boolean, default: false },
+    uploadDate: { type: Date, default: Date.now },
+    sessionKey: String,
+    blobHash: String, // SHA-256 of the content, see Blob
+    expiresAt: Date,                                  // removed by the sweeper after this time
+    maxDownloads: Number,                             // removed after this many downloads
+    burnAfterRead: { type: Boolean, default: false }, // removed after the first download
+    downloadCount: { type: Number, default: 0 },
+    passwordHash: String,                             // scrypt hash, see lib/access.js
+    contentType: String,                              // detected from the content, see lib/filetype.js
+    scanStatus: String,                               // 'pending' / 'clean' / 'infected' / 'scan-failed', unset without a scanner
+    scanResult: String,                               // signature found, or why the last scan failed
+    scanAttempts: { type: Number, default: 0 },       // failed scans, see lib/scanner
+    scannedAt: Date,
+    e2eEncrypted: { type: Boolean, default: false },  // encrypted in the browser, the key never reaches us
+    snippet: { type: Boolean, default: false },       // pasted text, shown at /p/:shortId, see lib/snippets.js
+    language: String,                                 // highlight.js language of a snippet, unset to auto-detect
+    signedUrlsOnly: { type: Boolean, default: false }, // only served through signed URLs, see requiresSignedUrl
+    allowedReferers: [String]                         // sites that may embed the file, see isHotlinkAllowed
+});
+
+// Content-addressed storage: one blob per unique SHA-256, shared by every File
+// with the same content and removed when the last reference is deleted
+const Blob = mongoose.model('Blob', {
+    hash: { type: String, index: true },
+    key: String, // storage key, see storage drivers in lib/storage
+    size: Number,
+    refCount: { type: Number, default: 0 },
+    thumbnail: String, // 'ready' / 'failed', see ensureThumbnail
+    width: Number,     // of images and videos, probed with the thumbnail; used by link previews
+    height: Number,
+    hlsStatus: String,         // 'queued' / 'processing' / 'ready' / 'failed', see queueTranscode
+    hlsRenditions: [String],   // e.g. ['720p', '480p']
+    hlsFiles: [String],        // playlists and segments below hls/<hash>/, master playlist first
+    hlsError: String,
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = { MONGODB_URL, File, Blob };
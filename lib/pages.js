@@ -0,0 +1,357 @@
+// Small server-rendered pages (expired links, errors, ...) that share the site's look
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Wrap page content in the common layout; `head` is trusted extra markup for <head>
+function renderLayout({ title, body, head = '' }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - OhioFiles</title>
+    <link rel="stylesheet" href="https://unpkg.com/chota@latest">
+    <link rel="stylesheet" href="/styles.css">
+    <link rel="icon" href="https://o.ohiofiles.live/logonew.png" type="image/x-icon">
+    ${head}
+</head>
+<body>
+    <script>
+      // Apply saved theme from localStorage
+      document.body.className = localStorage.getItem('theme') || 'catppuccin';
+    </script>
+    <div class="container">
+        <header>
+            <a href="/" style="text-decoration: none; color: inherit;">
+                <h1>OhioFiles</h1>
+            </a>
+        </header>
+        <main>
+            ${body}
+        </main>
+    </div>
+</body>
+</html>`;
+}
+
+// A page with a heading and a short explanation, e.g. for expired links
+function renderMessagePage({ title, message }) {
+    return renderLayout({
+        title,
+        body: `<section class="message-page">
+                <h2>${escapeHtml(title)}</h2>
+                <p>${escapeHtml(message)}</p>
+                <a href="/" class="button">Upload a file</a>
+            </section>`
+    });
+}
+
+// Password form for protected files; posts to the unlock endpoint and comes back to `returnTo`
+function renderUnlockPage({ shortId, fileName, returnTo, error }) {
+    return renderLayout({
+        title: 'Password required',
+        body: `<section class="message-page">
+                <h2>🔒 Password required</h2>
+                <p>${escapeHtml(fileName)} is protected. Enter the password to open it.</p>
+                <form method="POST" action="/api/file/${encodeURIComponent(shortId)}/unlock" class="unlock-form">
+                    <input type="hidden" name="returnTo" value="${escapeHtml(returnTo)}">
+                    <input type="password" name="password" placeholder="Password" required autofocus>
+                    <button type="submit">Unlock</button>
+                </form>
+                ${error ? `<p class="unlock-error">${escapeHtml(error)}</p>` : ''}
+            </section>`
+    });
+}
+
+// Download page of an end-to-end encrypted file; /decrypt.js fetches `fileUrl` and decrypts it
+// with the key from the URL fragment
+function renderDecryptPage({ shortId, fileUrl, size, passwordProtected }) {
+    return renderLayout({
+        title: 'Encrypted file',
+        head: '<meta name="referrer" content="no-referrer">',
+        body: `<section class="message-page decrypt-page" id="decrypt-page"
+                    data-short-id="${escapeHtml(shortId)}" data-file-url="${escapeHtml(fileUrl)}">
+                <h2>🔐 End-to-end encrypted file</h2>
+                <p>This file was encrypted in the uploader's browser. It is decrypted on your device with the key
+                    from the link; the server never sees the key or the contents.</p>
+                <p class="decrypt-size">Encrypted size: ${escapeHtml(formatSize(size))}</p>
+                <form class="unlock-form${passwordProtected ? '' : ' hidden'}" id="decrypt-password-form">
+                    <input type="password" id="decrypt-password" placeholder="Password" required>
+                    <button type="submit">Unlock</button>
+                </form>
+                <button type="button" id="decrypt-button">Decrypt and download</button>
+                <p id="decrypt-status" class="decrypt-status"></p>
+                <div id="decrypt-preview" class="decrypt-preview"></div>
+            </section>
+            <script src="/decrypt.js"></script>`
+    });
+}
+
+// Entries of an archive (see lib/archive.js) with download links for the ones that can be extracted
+function renderArchivePage({ shortId, fileName, fileUrl, format, entries, truncated }) {
+    const rows = entries.filter(entry => !entry.isDirectory).map(entry => {
+        const name = entry.path || '(unnamed)';
+        const action = entry.extractable
+            ? `<a href="/api/file/${encodeURIComponent(shortId)}/archive/${entry.index}">Download</a>`
+            : `<span class="archive-unavailable">${entry.unsafe ? '⚠️ Unsafe path' : 'Not supported'}</span>`;
+        return `<tr>
+                        <td class="archive-path">${escapeHtml(name)}</td>
+                        <td>${escapeHtml(formatSize(entry.size))}</td>
+                        <td>${entry.modified ? escapeHtml(entry.modified.toISOString().slice(0, 10)) : ''}</td>
+                        <td>${action}</td>
+                    </tr>`;
+    });
+    return renderLayout({
+        title: fileName,
+        body: `<section class="archive-page">
+                <h2>📦 ${escapeHtml(fileName)}</h2>
+                <p>${rows.length} files in this ${escapeHtml(format)} archive${truncated ? ' (only the first entries are listed)' : ''}.
+                    <a href="${escapeHtml(fileUrl)}" download>Download the whole archive</a></p>
+                <table class="archive-table">
+                    <thead>
+                        <tr><th>Name</th><th>Size</th><th>Modified</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                    ${rows.join('\n                    ')}
+                    </tbody>
+                </table>
+            </section>`
+    });
+}
+
+// Larger snippets are shown without highlighting, which would take the browser too long
+const MAX_HIGHLIGHTED_LENGTH = 256 * 1024;
+
+// Scripts and styles from the CDN are pinned to exact versions and checked with Subresource
+// Integrity, so a file changed on the CDN is not used. { url, integrity } each.
+const HIGHLIGHT_JS_URL = 'https://unpkg.com/@highlightjs/cdn-assets@11.12.0';
+const HIGHLIGHT_JS = {
+    url: `${HIGHLIGHT_JS_URL}/highlight.min.js`,
+    integrity: 'sha384-wjfDDhOPPdjtva8vWBhWeVprSpmxisEu5aYT3q1JyACqXpdKpo3PWZTMVq24MBix'
+};
+const HIGHLIGHT_JS_STYLE = {
+    url: `${HIGHLIGHT_JS_URL}/styles/github-dark.min.css`,
+    integrity: 'sha384-wH75j6z1lH97ZOpMOInqhgKzFkAInZPPSPlZpYKYTOqsaizPvhQZmAtLcPKXpLyH'
+};
+
+function renderScriptTag({ url, integrity }) {
+    return `<script src="${url}" integrity="${integrity}" crossorigin="anonymous"></script>`;
+}
+
+function renderStyleTag({ url, integrity }) {
+    return `<link rel="stylesheet" href="${url}" integrity="${integrity}" crossorigin="anonymous">`;
+}
+
+// Viewer of a text snippet (see lib/snippets.js), highlighted in the browser with highlight.js.
+// `language` null lets highlight.js guess; `downloadUrl` null hides the download link.
+function renderSnippetPage({ fileName, language, languageLabel, text, rawUrl, downloadUrl, uploadDate }) {
+    const highlight = language !== 'plaintext' && text.length <= MAX_HIGHLIGHTED_LENGTH;
+    const lineCount = text ? text.replace(/\n$/, '').split('\n').length : 0;
+    const details = [languageLabel, `${lineCount} ${lineCount === 1 ? 'line' : 'lines'}`, formatSize(Buffer.byteLength(text))];
+    if (uploadDate) {
+        details.push(new Date(uploadDate).toISOString().slice(0, 10));
+    }
+    return renderLayout({
+        title: fileName,
+        head: highlight ? renderStyleTag(HIGHLIGHT_JS_STYLE) : '',
+        body: `<section class="snippet-page">
+                <div class="snippet-header">
+                    <h2>📝 ${escapeHtml(fileName)}</h2>
+                    <div class="snippet-actions">
+                        <button type="button" id="snippet-copy">Copy</button>
+                        <a href="${escapeHtml(rawUrl)}" class="button">Raw</a>
+                        ${downloadUrl ? `<a href="${escapeHtml(downloadUrl)}" class="button" download>Download</a>` : ''}
+                    </div>
+                </div>
+                <p class="snippet-details">${details.map(escapeHtml).join(' • ')}</p>
+                <pre class="snippet-code"><code id="snippet-code"${language ? ` class="language-${escapeHtml(language)}"` : ''}>${escapeHtml(text)}</code></pre>
+            </section>
+            ${highlight ? renderScriptTag(HIGHLIGHT_JS) : ''}
+            <script>
+                const code = document.getElementById('snippet-code');
+                if (window.hljs) {
+                    hljs.highlightElement(code);
+                }
+                document.getElementById('snippet-copy').addEventListener('click', async (e) => {
+                    await navigator.clipboard.writeText(code.textContent);
+                    e.target.textContent = 'Copied!';
+                    setTimeout(() => { e.target.textContent = 'Copy'; }, 2000);
+                });
+            </script>`
+    });
+}
+
+const MARKED = {
+    url: 'https://unpkg.com/marked@12.0.2/marked.min.js',
+    integrity: 'sha384-/TQbtLCAerC3jgaim+N78RZSDYV7ryeoBCVqTuzRrFec2akfBkHS7ACQ3PQhvMVi'
+};
+const DOMPURIFY = {
+    url: 'https://unpkg.com/dompurify@3.4.16/dist/purify.min.js',
+    integrity: 'sha384-a7SzOxErzJ3ZpQz0zJ32d67dSitNzPcbfybc/ykU9KJhMgZkwqfSxlhhdJRS+XGL'
+};
+
+// Markup and scripts of the preview on a file's landing page, see renderFilePage
+function renderFilePreview(preview, fileName) {
+    const { kind } = preview;
+    if (kind === 'image') {
+        // Formats browsers can't show (HEIC, PSD, ...) fall back to the thumbnail
+        return {
+            markup: `<img src="${escapeHtml(preview.url)}" alt="${escapeHtml(fileName)}" id="file-page-image"${preview.thumbnailUrl ? ` data-fallback="${escapeHtml(preview.thumbnailUrl)}"` : ''}>`,
+            script: `const image = document.getElementById('file-page-image');
+                if (image.dataset.fallback) {
+                    image.addEventListener('error', () => { image.src = image.dataset.fallback; }, { once: true });
+                }`
+        };
+    }
+    if (kind === 'video') {
+        return { markup: `<video src="${escapeHtml(preview.url)}" controls preload="metadata"${preview.thumbnailUrl ? ` poster="${escapeHtml(preview.thumbnailUrl)}"` : ''}></video>` };
+    }
+    if (kind === 'audio') {
+        return { markup: `<audio src="${escapeHtml(preview.url)}" controls preload="metadata"></audio>` };
+    }
+    if (kind === 'pdf') {
+        return { markup: `<iframe src="${escapeHtml(preview.url)}" title="${escapeHtml(fileName)}" class="file-page-pdf"></iframe>` };
+    }
+
+    const note = preview.truncated ? `<p class="file-page-note">Only the first ${formatSize(preview.text.length)} are shown.</p>` : '';
+    if (kind === 'markdown') {
+        // The source is shown until the renderer has loaded, and instead of it without scripts
+        return {
+            markup: `${note}<pre class="file-page-text" id="file-page-markdown">${escapeHtml(preview.text)}</pre>`,
+            scripts: [MARKED, DOMPURIFY],
+            script: `const source = document.getElementById('file-page-markdown');
+                if (window.marked && window.DOMPurify) {
+                    const rendered = document.createElement('div');
+                    rendered.className = 'file-page-markdown';
+                    rendered.innerHTML = DOMPurify.sanitize(marked.parse(source.textContent));
+                    source.replaceWith(rendered);
+                }`
+        };
+    }
+    const highlight = preview.text.length <= MAX_HIGHLIGHTED_LENGTH;
+    return {
+        markup: `${note}<pre class="snippet-code"><code id="file-page-code">${escapeHtml(preview.text)}</code></pre>`,
+        styles: highlight ? [HIGHLIGHT_JS_STYLE] : [],
+        scripts: highlight ? [HIGHLIGHT_JS] : [],
+        // highlight.js knows most file extensions as language aliases and guesses the others
+        script: `const code = document.getElementById('file-page-code');
+                if (window.hljs) {
+                    const language = ${JSON.stringify(preview.extension || '').replace(/</g, '\\u003c')};
+                    if (language && hljs.getLanguage(language)) {
+                        code.classList.add('language-' + language);
+                    }
+                    hljs.highlightElement(code);
+                }`
+    };
+}
+
+// Landing page of a file with its details, a download button and a preview when there is one:
+// `preview` is { kind: 'image' | 'video' | 'audio' | 'pdf', url, thumbnailUrl } or
+// { kind: 'markdown' | 'text', text, truncated, extension }
+function renderFilePage({ fileName, contentType, size, uploadDate, fileUrl, archiveUrl, preview, linkPreview }) {
+    const rendered = preview ? renderFilePreview(preview, fileName) : { markup: '<p class="file-page-note">No preview is available for this file.</p>' };
+    const details = [contentType, formatSize(size)];
+    if (uploadDate) {
+        details.push(`uploaded ${new Date(uploadDate).toISOString().slice(0, 10)}`);
+    }
+    const styles = (rendered.styles || []).map(renderStyleTag).join('\n    ');
+    const scripts = (rendered.scripts || []).map(renderScriptTag).join('\n            ');
+    return renderLayout({
+        title: fileName,
+        head: [linkPreview ? renderLinkPreviewHead(linkPreview) : '', styles].filter(Boolean).join('\n    '),
+        body: `<section class="file-page">
+                <div class="file-page-header">
+                    <h2>${escapeHtml(fileName)}</h2>
+                    <div class="file-page-actions">
+                        <a href="${escapeHtml(fileUrl)}" class="button" download="${escapeHtml(fileName)}">⬇️ Download</a>
+                        <a href="${escapeHtml(fileUrl)}" class="button">Open</a>
+                        ${archiveUrl ? `<a href="${escapeHtml(archiveUrl)}" class="button">📦 Browse</a>` : ''}
+                    </div>
+                </div>
+                <p class="file-page-details">${details.map(escapeHtml).join(' • ')}</p>
+                <div class="file-page-preview">
+                    ${rendered.markup}
+                </div>
+            </section>
+            ${scripts}
+            ${rendered.script ? `<script>
+                ${rendered.script}
+            </script>` : ''}`
+    });
+}
+
+// <head> markup of a link preview: its OpenGraph / Twitter meta tags (see lib/link-preview.js)
+// and the oEmbed discovery link
+function renderLinkPreviewHead({ tags, oembedUrl }) {
+    const meta = tags.map(tag => tag.property
+        ? `<meta property="${escapeHtml(tag.property)}" content="${escapeHtml(tag.content)}">`
+        : `<meta name="${escapeHtml(tag.name)}" content="${escapeHtml(tag.content)}">`);
+    if (oembedUrl) {
+        meta.push(`<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}">`);
+    }
+    return meta.join('\n    ');
+}
+
+// What link preview crawlers get instead of the file
+function renderLinkPreviewPage({ title, description, pageUrl, linkPreview }) {
+    return renderLayout({
+        title,
+        head: renderLinkPreviewHead(linkPreview),
+        body: `<section class="message-page">
+                <h2>${escapeHtml(title)}</h2>
+                <p>${escapeHtml(description)}</p>
+                <a href="${escapeHtml(pageUrl)}" class="button">Open</a>
+            </section>`
+    });
+}
+
+// Bare player of a video or audio file for iframes (Twitter player cards, oEmbed)
+function renderEmbedPage({ title, kind, url, posterUrl }) {
+    const player = kind === 'video'
+        ? `<video src="${escapeHtml(url)}" controls preload="metadata" playsinline${posterUrl ? ` poster="${escapeHtml(posterUrl)}"` : ''}></video>`
+        : `<audio src="${escapeHtml(url)}" controls preload="metadata"></audio>`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - OhioFiles</title>
+    <style>
+        html, body { margin: 0; height: 100%; background: #000; }
+        body { display: flex; align-items: center; justify-content: center; }
+        video, audio { width: 100%; max-height: 100%; }
+    </style>
+</head>
+<body>
+    ${player}
+</body>
+</html>`;
+}
+
+function formatSize(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, index)).toFixed(index ? 1 : 0)} ${units[index]}`;
+}
+
+module.exports = {
+    escapeHtml,
+    formatSize,
+    renderLayout,
+    renderMessagePage,
+    renderUnlockPage,
+    renderDecryptPage,
+    renderArchivePage,
+    renderSnippetPage,
+    renderFilePage,
+    renderLinkPreviewPage,
+    renderEmbedPage
+};
@@ -0,0 +1,74 @@
+const net = require('net');
+
+// ClamAV daemon scanner over TCP, using the INSTREAM command: the content is sent as
+// length-prefixed chunks and clamd answers "stream: OK" or "stream: <signature> FOUND".
+// The file never has to be readable by clamd itself, so remote storage works too.
+function createClamdScanner({ host, port, timeout }) {
+    function parseReply(reply) {
+        const text = reply.split('\0')[0].trim();
+        if (/^stream: OK$/.test(text)) {
+            return { infected: false, signature: null };
+        }
+        const found = text.match(/^stream: (.+) FOUND$/);
+        if (found) {
+            return { infected: true, signature: found[1] };
+        }
+        // e.g. "INSTREAM size limit exceeded. ERROR", which no retry gets past
+        const error = new Error(`clamd: ${text || 'empty reply'}`);
+        error.permanent = /limit exceeded/i.test(text);
+        throw error;
+    }
+
+    function scan(stream) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect({ host, port });
+            let reply = '';
+            let settled = false;
+
+            const finish = (err, result) => {
+                if (settled) return;
+                settled = true;
+                stream.destroy();
+                socket.destroy();
+                if (err) reject(err);
+                else resolve(result);
+            };
+            const finishWithReply = () => {
+                try {
+                    finish(null, parseReply(reply));
+                } catch (err) {
+                    finish(err);
+                }
+            };
+
+            socket.setTimeout(timeout, () => finish(new Error('clamd did not answer in time')));
+            socket.on('connect', () => {
+                socket.write('zINSTREAM\0');
+                stream.on('data', (chunk) => {
+                    const length = Buffer.alloc(4);
+                    length.writeUInt32BE(chunk.length);
+                    socket.write(length);
+                    if (!socket.write(chunk)) {
+                        stream.pause();
+                        socket.once('drain', () => stream.resume());
+                    }
+                });
+                // A zero-length chunk ends the stream
+                stream.on('end', () => socket.write(Buffer.alloc(4)));
+            });
+            stream.on('error', (err) => finish(err));
+
+            socket.on('data', (data) => {
+                reply += data.toString('utf8');
+                if (reply.includes('\0')) finishWithReply();
+            });
+            // clamd closes the connection early when a limit is exceeded; its reply explains why
+            socket.on('end', () => reply ? finishWithReply() : finish(new Error('clamd closed the connection')));
+            socket.on('error', (err) => reply ? finishWithReply() : finish(new Error(`clamd: ${err.message}`)));
+        });
+    }
+
+    return { name: 'clamd', scan };
+}
+
+module.exports = { createClamdScanner };
@@ -0,0 +1,46 @@
+const { createClamdScanner } = require('./clamd');
+
+// Malware scanners share one interface:
+//   name                 driver name, shown in the admin status
+//   scan(stream)         resolves { infected, signature } for the content of a readable stream;
+//                        rejects if the content could not be scanned, with `permanent` set on the
+//                        error when scanning it again can't succeed (e.g. it is over a size limit)
+// Returns null when scanning is disabled.
+function createScanner(config) {
+    switch (config.driver) {
+        case 'none':
+            return null;
+        case 'clamd':
+            return createClamdScanner(config.clamd);
+        default:
+            throw new Error(`Unknown scanner: ${config.driver}`);
+    }
+}
+
+// Failed scans are retried until a file has failed this many times
+const MAX_SCAN_ATTEMPTS = 5;
+
+// File fields after a scan: the scanner's `result`, or the `error` it failed with on the file's
+// `attempts`th try. Failed files stay 'pending' for another try, or are 'scan-failed' when
+// retrying can't help or they have been tried often enough.
+function getScanOutcome({ result, error, attempts = 1 }) {
+    if (error) {
+        const giveUp = !!error.permanent || attempts >= MAX_SCAN_ATTEMPTS;
+        return { scanStatus: giveUp ? 'scan-failed' : 'pending', scanResult: `Scan failed: ${error.message}` };
+    }
+    return { scanStatus: result.infected ? 'infected' : 'clean', scanResult: result.signature };
+}
+
+// Read the scanner configuration from environment variables
+function scannerConfigFromEnv(env) {
+    return {
+        driver: env.SCANNER || 'none',
+        clamd: {
+            host: env.CLAMD_HOST || '127.0.0.1',
+            port: Number(env.CLAMD_PORT) || 3310,
+            timeout: Number(env.CLAMD_TIMEOUT) || 60 * 1000
+        }
+    };
+}
+
+module.exports = { MAX_SCAN_ATTEMPTS, createScanner, getScanOutcome, scannerConfigFromEnv };
@@ -0,0 +1,55 @@
+// Text snippets (paste-bin mode): pasted or typed text stored as an ordinary upload with the
+// `snippet` field set, shown on a highlighted viewer page (/p/:shortId) and as raw text.
+// Highlighting happens in the browser with highlight.js; the names below are its language names.
+
+const MAX_SNIPPET_SIZE = 1024 * 1024;
+
+const SNIPPET_LANGUAGES = {
+    plaintext: { label: 'Plain text', extension: '.txt' },
+    bash: { label: 'Bash', extension: '.sh' },
+    c: { label: 'C', extension: '.c' },
+    cpp: { label: 'C++', extension: '.cpp' },
+    csharp: { label: 'C#', extension: '.cs' },
+    css: { label: 'CSS', extension: '.css' },
+    diff: { label: 'Diff', extension: '.diff' },
+    go: { label: 'Go', extension: '.go' },
+    xml: { label: 'HTML / XML', extension: '.html' },
+    java: { label: 'Java', extension: '.java' },
+    javascript: { label: 'JavaScript', extension: '.js' },
+    json: { label: 'JSON', extension: '.json' },
+    kotlin: { label: 'Kotlin', extension: '.kt' },
+    lua: { label: 'Lua', extension: '.lua' },
+    markdown: { label: 'Markdown', extension: '.md' },
+    php: { label: 'PHP', extension: '.php' },
+    python: { label: 'Python', extension: '.py' },
+    ruby: { label: 'Ruby', extension: '.rb' },
+    rust: { label: 'Rust', extension: '.rs' },
+    sql: { label: 'SQL', extension: '.sql' },
+    swift: { label: 'Swift', extension: '.swift' },
+    typescript: { label: 'TypeScript', extension: '.ts' },
+    yaml: { label: 'YAML', extension: '.yaml' }
+};
+
+// Language name of an upload field: null when not given (the viewer guesses it), undefined if unknown
+function parseSnippetLanguage(value) {
+    if (!value) return null;
+    const language = String(value).trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(SNIPPET_LANGUAGES, language) ? language : undefined;
+}
+
+function getSnippetLanguageLabel(language) {
+    return language ? SNIPPET_LANGUAGES[language].label : 'Auto-detected';
+}
+
+// Snippets must be UTF-8 text without NUL bytes, so they can be shown as they are
+function isSnippetText(buffer) {
+    if (buffer.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+module.exports = { MAX_SNIPPET_SIZE, SNIPPET_LANGUAGES, parseSnippetLanguage, getSnippetLanguageLabel, isSnippetText };
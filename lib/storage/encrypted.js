@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Encryption at rest: wraps another storage driver and stores every object AES-256-GCM encrypted.
+// Objects are sealed in 64KB chunks, so a byte range is served by decrypting only the chunks it covers.
+//
+// Layout: header | chunk 0 | chunk 1 | ...
+//   header  "OFENC1\0\0" (8) | key id (8) | nonce prefix (8)
+//   chunk   ciphertext (CHUNK_SIZE, the last one may be shorter) | GCM tag (16)
+// A chunk's nonce is the prefix followed by its index. The header, the index and whether it is the
+// last chunk are authenticated with it, so chunks can't be reordered, mixed between objects or cut off.
+// Objects without the header were stored before encryption was enabled and are read as they are.
+
+const MAGIC = Buffer.from('OFENC1\0\0', 'latin1');
+const HEADER_SIZE = 24;
+const CHUNK_SIZE = 64 * 1024;
+const TAG_SIZE = 16;
+const SEALED_CHUNK_SIZE = CHUNK_SIZE + TAG_SIZE;
+
+// Keys are 32 bytes, given as 64 hex characters or base64
+function parseKey(value) {
+    const text = String(value).trim();
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+    if (key.length !== 32) {
+        throw new Error('Encryption keys must be 32 bytes, hex or base64 encoded');
+    }
+    return key;
+}
+
+// Stored in the header so the right key is picked while old keys are being rotated out
+function getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest().subarray(0, 8);
+}
+
+function getPlainSize(sealedSize) {
+    const body = sealedSize - HEADER_SIZE;
+    const rest = body % SEALED_CHUNK_SIZE;
+    return Math.floor(body / SEALED_CHUNK_SIZE) * CHUNK_SIZE + (rest ? rest - TAG_SIZE : 0);
+}
+
+function getLastChunkIndex(plainSize) {
+    return Math.max(0, Math.ceil(plainSize / CHUNK_SIZE) - 1);
+}
+
+function chunkNonce(header, index) {
+    const nonce = Buffer.alloc(12);
+    header.copy(nonce, 0, 16, 24);
+    nonce.writeUInt32BE(index, 8);
+    return nonce;
+}
+
+function chunkAad(header, index, isLast) {
+    const aad = Buffer.alloc(HEADER_SIZE + 5);
+    header.copy(aad);
+    aad.writeUInt32BE(index, HEADER_SIZE);
+    aad[HEADER_SIZE + 4] = isLast ? 1 : 0;
+    return aad;
+}
+
+// Decrypt sealed chunks starting at `firstIndex`, emitting `length` bytes after skipping `skip`
+function createDecryptStream(header, key, { firstIndex, lastIndex, skip, length }) {
+    let index = firstIndex;
+    let pending = Buffer.alloc(0);
+    let remaining = length;
+
+    function open(sealed) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, chunkNonce(header, index));
+        decipher.setAAD(chunkAad(header, index, index === lastIndex));
+        decipher.setAuthTag(sealed.subarray(sealed.length - TAG_SIZE));
+        let plain = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_SIZE)), decipher.final()]);
+        index++;
+        if (skip) {
+            plain = plain.subarray(skip);
+            skip = 0;
+        }
+        plain = plain.subarray(0, remaining);
+        remaining -= plain.length;
+        return plain;
+    }
+
+    return new stream.Transform({
+        transform(data, encoding, callback) {
+            pending = Buffer.concat([pending, data]);
+            try {
+                while (pending.length >= SEALED_CHUNK_SIZE) {
+                    this.push(open(pending.subarray(0, SEALED_CHUNK_SIZE)));
+                    pending = pending.subarray(SEALED_CHUNK_SIZE);
+                }
+            } catch (err) {
+                return callback(new Error('Encrypted object failed authentication'));
+            }
+            callback();
+        },
+        flush(callback) {
+            try {
+                if (pending.length > 0) {
+                    if (pending.length < TAG_SIZE) throw new Error('truncated');
+                    this.push(open(pending));
+                }
+            } catch (err) {
+                return callback(new Error('Encrypted object failed authentication'));
+            }
+            callback();
+        }
+    });
+}
+
+function createEncryptedStorage(inner, { key, oldKeys = [] }) {
+    const currentKey = parseKey(key);
+    const currentKeyId = getKeyId(currentKey);
+    const keys = new Map([currentKey, ...oldKeys.map(parseKey)].map(k => [getKeyId(k).toString('hex'), k]));
+
+    // The header of an encrypted object, or null for objects stored in plain text
+    async function readHeader(key, sealedSize) {
+        if (sealedSize < HEADER_SIZE + TAG_SIZE) {
+            return null;
+        }
+        const chunks = [];
+        for await (const chunk of await inner.get(key, { start: 0, end: HEADER_SIZE - 1 })) {
+            chunks.push(chunk);
+        }
+        const header = Buffer.concat(chunks);
+        return header.length === HEADER_SIZE && header.subarray(0, MAGIC.length).equals(MAGIC) ? header : null;
+    }
+
+    function getObjectKey(header) {
+        const objectKey = keys.get(header.toString('hex', 8, 16));
+        if (!objectKey) {
+            throw new Error('Object is encrypted with a key that is not configured (see ENCRYPTION_OLD_KEYS)');
+        }
+        return objectKey;
+    }
+
+    async function encryptFile(sourcePath, destPath) {
+        const header = Buffer.concat([MAGIC, currentKeyId, crypto.randomBytes(8)]);
+        const { size } = await fs.promises.stat(sourcePath);
+        const lastIndex = getLastChunkIndex(size);
+        let index = 0;
+        let pending = Buffer.alloc(0);
+
+        const seal = (chunk) => {
+            const cipher = crypto.createCipheriv('aes-256-gcm', currentKey, chunkNonce(header, index));
+            cipher.setAAD(chunkAad(header, index, index === lastIndex));
+            index++;
+            return Buffer.concat([cipher.update(chunk), cipher.final(), cipher.getAuthTag()]);
+        };
+
+        const sealer = new stream.Transform({
+            transform(data, encoding, callback) {
+                pending = Buffer.concat([pending, data]);
+                while (pending.length >= CHUNK_SIZE) {
+                    this.push(seal(pending.subarray(0, CHUNK_SIZE)));
+                    pending = pending.subarray(CHUNK_SIZE);
+                }
+                callback();
+            },
+            flush(callback) {
+                // Empty files still get one (empty) chunk, so their tag is checked
+                if (pending.length > 0 || index === 0) {
+                    this.push(seal(pending));
+                }
+                callback();
+            }
+        });
+
+        const output = fs.createWriteStream(destPath);
+        output.write(header);
+        await pipeline(fs.createReadStream(sourcePath), sealer, output);
+    }
+
+    const storage = {
+        name: inner.name,
+        encrypted: true,
+
+        // Encrypt a local file into storage under `key` and remove the local copy
+        async put(key, sourcePath) {
+            const encryptedPath = `${sourcePath}.enc`;
+            try {
+                await encryptFile(sourcePath, encryptedPath);
+                await inner.put(key, encryptedPath);
+            } catch (err) {
+                await fs.promises.unlink(encryptedPath).catch(() => {});
+                throw err;
+            }
+            await fs.promises.unlink(sourcePath);
+        },
+
+        // Decrypted stream of the object, optionally limited to an inclusive byte range
+        async get(key, { start, end } = {}) {
+            const stats = await inner.stat(key);
+            const header = stats && await readHeader(key, stats.size);
+            if (!header) {
+                return inner.get(key, { start, end });
+            }
+            const objectKey = getObjectKey(header);
+
+            const plainSize = getPlainSize(stats.size);
+            const from = start || 0;
+            const to = end !== undefined ? Math.min(end, plainSize - 1) : plainSize - 1;
+            if (to < from) {
+                return stream.Readable.from([]);
+            }
+            const firstIndex = Math.floor(from / CHUNK_SIZE);
+            const lastWanted = Math.floor(to / CHUNK_SIZE);
+            const source = await inner.get(key, {
+                start: HEADER_SIZE + firstIndex * SEALED_CHUNK_SIZE,
+                end: Math.min(stats.size, HEADER_SIZE + (lastWanted + 1) * SEALED_CHUNK_SIZE) - 1
+            });
+            const decrypt = createDecryptStream(header, objectKey, {
+                firstIndex,
+                lastIndex: getLastChunkIndex(plainSize),
+                skip: from - firstIndex * CHUNK_SIZE,
+                length: to - from + 1
+            });
+            // Errors and early closes are passed on to both streams; the caller listens on `decrypt`
+            return stream.pipeline(source, decrypt, () => {});
+        },
+
+        // { size, mtime } of the decrypted object, or null if missing
+        async stat(key) {
+            const stats = await inner.stat(key);
+            if (!stats) return null;
+            const header = await readHeader(key, stats.size);
+            return header ? { ...stats, size: getPlainSize(stats.size) } : stats;
+        },
+
+        delete(key) {
+            return inner.delete(key);
+        },
+
+        // Re-encrypt an object with the current key if it uses an old key or is still in plain text.
+        // Resolves with true if the object was rewritten.
+        async reencrypt(key) {
+            const stats = await inner.stat(key);
+            if (!stats) return false;
+            const header = await readHeader(key, stats.size);
+            if (header && header.subarray(8, 16).equals(currentKeyId)) {
+                return false;
+            }
+
+            const plainPath = path.join(os.tmpdir(), `ohiofiles-rotate-${crypto.randomBytes(6).toString('hex')}`);
+            try {
+                await pipeline(await storage.get(key), fs.createWriteStream(plainPath));
+                await storage.put(key, plainPath);
+            } catch (err) {
+                await fs.promises.unlink(plainPath).catch(() => {});
+                throw err;
+            }
+            return true;
+        }
+    };
+    return storage;
+}
+
+module.exports = { createEncryptedStorage };
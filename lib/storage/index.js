@@ -0,0 +1,53 @@
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+const { createEncryptedStorage } = require('./encrypted');
+const { getStorageKey, getThumbnailKey, getHlsKey } = require('./keys');
+
+// Storage drivers share one interface:
+//   put(key, sourcePath)        move a local file into storage
+//   get(key, { start, end })    readable stream, optionally an inclusive byte range
+//   stat(key)                   { size, mtime } or null if missing
+//   delete(key)                 remove, ignoring missing objects
+// With an encryption key the driver is wrapped so objects are encrypted at rest, see ./encrypted.
+function createStorage(config) {
+    const driver = createDriver(config);
+    return config.encryption.key ? createEncryptedStorage(driver, config.encryption) : driver;
+}
+
+function createDriver(config) {
+    switch (config.driver) {
+        case 'local':
+            return createLocalStorage(config.local);
+        case 's3':
+            return createS3Storage(config.s3);
+        default:
+            throw new Error(`Unknown storage driver: ${config.driver}`);
+    }
+}
+
+// Read the storage configuration from environment variables
+function storageConfigFromEnv(env, defaults) {
+    return {
+        driver: env.STORAGE_DRIVER || 'local',
+        local: {
+            root: env.STORAGE_LOCAL_ROOT || defaults.localRoot
+        },
+        s3: {
+            endpoint: env.S3_ENDPOINT,
+            region: env.S3_REGION || 'us-east-1',
+            bucket: env.S3_BUCKET,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX || '',
+            // MinIO and most self-hosted servers need path-style URLs
+            forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false'
+        },
+        encryption: {
+            key: env.ENCRYPTION_KEY,
+            // previous keys, still needed to read objects until they are rotated to the current key
+            oldKeys: (env.ENCRYPTION_OLD_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+        }
+    };
+}
+
+module.exports = { createStorage, storageConfigFromEnv, getStorageKey, getThumbnailKey, getHlsKey };
@@ -0,0 +1,19 @@
+const path = require('path');
+
+// Where a file's content and the objects derived from it live in storage
+
+// Storage key of a File's content. Files stored before content addressing use
+// their original absolute path, which only the local driver understands.
+function getStorageKey(file) {
+    return file.blobHash ? `blobs/${file.blobHash}` : path.resolve(file.path);
+}
+
+function getThumbnailKey(hash) {
+    return `thumbnails/${hash}.jpg`;
+}
+
+function getHlsKey(hash, name) {
+    return `hls/${hash}/${name}`;
+}
+
+module.exports = { getStorageKey, getThumbnailKey, getHlsKey };
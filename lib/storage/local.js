@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local disk storage driver: keys are paths relative to `root`
+function createLocalStorage({ root }) {
+    const resolvedRoot = path.resolve(root);
+
+    // Map a key to a path on disk, refusing relative keys that escape the storage root
+    function resolveKey(key) {
+        // Absolute paths are accepted for files stored before the driver existed
+        if (path.isAbsolute(key)) {
+            return key;
+        }
+        const filePath = path.resolve(resolvedRoot, key);
+        if (!filePath.startsWith(resolvedRoot + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        // Move a local file into storage under `key`
+        async put(key, sourcePath) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            try {
+                await fs.promises.rename(sourcePath, filePath);
+            } catch (err) {
+                if (err.code !== 'EXDEV') throw err;
+                // Source is on another filesystem
+                await fs.promises.copyFile(sourcePath, filePath);
+                await fs.promises.unlink(sourcePath);
+            }
+        },
+
+        // Readable stream of the object, optionally limited to an inclusive byte range
+        async get(key, { start, end } = {}) {
+            return fs.createReadStream(resolveKey(key), { start, end });
+        },
+
+        // { size, mtime } or null when the object does not exist
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(resolveKey(key));
+                return { size: stats.size, mtime: stats.mtime };
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+
+        // Remove the object; missing objects are not an error
+        async delete(key) {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
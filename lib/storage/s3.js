@@ -0,0 +1,160 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// S3-compatible storage driver (AWS S3, MinIO, ...), signing requests with AWS Signature V4.
+// Payloads are sent as UNSIGNED-PAYLOAD so large objects can be streamed without hashing them first.
+function createS3Storage({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, prefix = '', forcePathStyle = true }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage requires a bucket, access key id and secret access key');
+    }
+    const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const transport = baseUrl.protocol === 'https:' ? https : http;
+
+    // RFC 3986 encoding as required by SigV4 ('/' is kept in object keys)
+    function encodePath(value) {
+        return value.split('/').map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())).join('/');
+    }
+
+    function hmac(key, value) {
+        return crypto.createHmac('sha256', key).update(value).digest();
+    }
+
+    function objectLocation(key) {
+        const objectPath = encodePath(prefix + key);
+        const basePath = baseUrl.pathname.replace(/\/$/, '');
+        const hostname = forcePathStyle ? baseUrl.hostname : `${bucket}.${baseUrl.hostname}`;
+        return {
+            hostname,
+            host: baseUrl.port ? `${hostname}:${baseUrl.port}` : hostname,
+            path: forcePathStyle ? `${basePath}/${encodePath(bucket)}/${objectPath}` : `${basePath}/${objectPath}`
+        };
+    }
+
+    // Build the signed request options for an object operation
+    function signRequest(method, key, extraHeaders = {}) {
+        const { hostname, host, path } = objectLocation(key);
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const payloadHash = 'UNSIGNED-PAYLOAD';
+
+        const headers = Object.assign({}, extraHeaders, {
+            host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        });
+        const signedHeaderNames = ['host', 'x-amz-content-sha256', 'x-amz-date'];
+        const canonicalHeaders = signedHeaderNames.map(name => `${name}:${headers[name]}\n`).join('');
+        const signedHeaders = signedHeaderNames.join(';');
+
+        const canonicalRequest = [method, path, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        const signingKey = hmac(hmac(hmac(hmac('AWS4' + secretAccessKey, dateStamp), region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+        headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+        return {
+            protocol: baseUrl.protocol,
+            hostname,
+            port: baseUrl.port || undefined,
+            method,
+            path,
+            headers
+        };
+    }
+
+    // Send a request and resolve with the response once headers arrive
+    function request(method, key, { headers, body } = {}) {
+        return new Promise((resolve, reject) => {
+            const req = transport.request(signRequest(method, key, headers), resolve);
+            req.on('error', reject);
+            if (body) {
+                body.on('error', (err) => req.destroy(err));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    // Turn a non-2xx response into an error, reading the S3 error body for the message
+    function responseError(res, key) {
+        return new Promise((resolve) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => {
+                const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+                const err = new Error(`S3 ${res.statusCode}${code ? ' ' + code : ''} for ${key}`);
+                err.statusCode = res.statusCode;
+                if (res.statusCode === 404) err.code = 'ENOENT';
+                resolve(err);
+            });
+            res.on('error', () => resolve(new Error(`S3 ${res.statusCode} for ${key}`)));
+        });
+    }
+
+    return {
+        name: 's3',
+
+        // Upload a local file under `key` and remove the local copy
+        async put(key, sourcePath) {
+            const { size } = await fs.promises.stat(sourcePath);
+            const res = await request('PUT', key, {
+                headers: { 'content-length': size, 'content-type': 'application/octet-stream' },
+                body: fs.createReadStream(sourcePath)
+            });
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                throw await responseError(res, key);
+            }
+            res.resume();
+            await fs.promises.unlink(sourcePath);
+        },
+
+        // Readable stream of the object, optionally limited to an inclusive byte range
+        async get(key, { start, end } = {}) {
+            const headers = {};
+            if (start !== undefined || end !== undefined) {
+                headers.range = `bytes=${start || 0}-${end !== undefined ? end : ''}`;
+            }
+            const res = await request('GET', key, { headers });
+            if (res.statusCode !== 200 && res.statusCode !== 206) {
+                throw await responseError(res, key);
+            }
+            return res;
+        },
+
+        // { size, mtime } or null when the object does not exist
+        async stat(key) {
+            const res = await request('HEAD', key);
+            res.resume();
+            if (res.statusCode === 404) return null;
+            if (res.statusCode !== 200) {
+                throw new Error(`S3 ${res.statusCode} for ${key}`);
+            }
+            return {
+                size: Number(res.headers['content-length']),
+                mtime: new Date(res.headers['last-modified'])
+            };
+        },
+
+        // Remove the object; S3 treats missing objects as already deleted
+        async delete(key) {
+            const res = await request('DELETE', key);
+            if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) {
+                throw await responseError(res, key);
+            }
+            res.resume();
+        }
+    };
+}
+
+module.exports = { createS3Storage };
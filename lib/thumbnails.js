@@ -0,0 +1,49 @@
+const fs = require('fs');
+const { runTool } = require('./tools');
+
+// Small JPEG previews for the history and gallery cards: a scaled down copy of images and
+// a poster frame of videos, made with ffmpeg. Cards show them at 220px, so they are twice that for HiDPI screens.
+
+const THUMBNAIL_SIZE = 440;
+const THUMBNAIL_CONTENT_TYPE = 'image/jpeg';
+
+// Images ffmpeg can't decode (or that are already tiny vector files) keep using the original
+const SKIPPED_IMAGE_TYPES = ['image/svg+xml', 'image/vnd.adobe.photoshop'];
+
+// 'image' / 'video' for content types that get a thumbnail, null otherwise
+function getThumbnailKind(contentType) {
+    if (!contentType) return null;
+    if (contentType.startsWith('image/') && !SKIPPED_IMAGE_TYPES.includes(contentType)) return 'image';
+    if (contentType.startsWith('video/')) return 'video';
+    return null;
+}
+
+// Size of the thumbnail of a `width` x `height` image or video
+function getThumbnailDimensions(width, height) {
+    const scale = Math.min(1, THUMBNAIL_SIZE / width, THUMBNAIL_SIZE / height);
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Write the thumbnail of `sourcePath` to `destPath`. If ffmpeg is not installed the error has `toolMissing` set.
+async function generateThumbnail(sourcePath, destPath, kind) {
+    // Fit into the box without upscaling small images
+    const scale = `scale='min(${THUMBNAIL_SIZE},iw)':'min(${THUMBNAIL_SIZE},ih)':force_original_aspect_ratio=decrease`;
+    // For videos the thumbnail filter picks a representative frame of the first seconds, so fades from black are skipped
+    const filter = kind === 'video' ? `thumbnail=50,${scale}` : scale;
+    await runTool('ffmpeg', [
+        '-v', 'error', '-y',
+        '-i', sourcePath,
+        '-vf', filter,
+        '-frames:v', '1',
+        '-f', 'image2', '-c:v', 'mjpeg', '-q:v', '4',
+        destPath
+    ], { timeout: 60 * 1000 });
+
+    // ffmpeg succeeds without writing anything when the input has no decodable frame
+    const stats = await fs.promises.stat(destPath).catch(() => null);
+    if (!stats || stats.size === 0) {
+        throw new Error('ffmpeg did not produce a frame');
+    }
+}
+
+module.exports = { THUMBNAIL_CONTENT_TYPE, getThumbnailKind, getThumbnailDimensions, generateThumbnail };
@@ -0,0 +1,27 @@
+const { execFile } = require('child_process');
+
+// External command line tools; each path can be overridden, e.g. FFMPEG_PATH=/opt/ffmpeg/bin/ffmpeg
+const TOOL_PATHS = {
+    ffmpeg: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobe: process.env.FFPROBE_PATH || 'ffprobe',
+    exiftool: process.env.EXIFTOOL_PATH || 'exiftool'
+};
+
+// Run a tool and resolve with its stdout. If the tool is not installed the error has `toolMissing` set.
+function runTool(name, args, { timeout = 5 * 60 * 1000 } = {}) {
+    return new Promise((resolve, reject) => {
+        execFile(TOOL_PATHS[name], args, { timeout, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+            if (err) {
+                if (err.code === 'ENOENT') {
+                    err.toolMissing = true;
+                } else {
+                    err.message = `${name} failed: ${(stderr || err.message).trim()}`;
+                }
+                return reject(err);
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+module.exports = { runTool };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { runTool } = require('./tools');
+
+// Adaptive streaming: videos are transcoded with ffmpeg into HLS renditions at several bitrates
+// (H.264 + AAC in MPEG-TS segments, which every HLS player understands) and a master playlist
+// that lets the player switch between them. Output layout, relative to the output directory:
+//   master.m3u8
+//   <rendition>/index.m3u8
+//   <rendition>/seg-000.ts ...
+
+const HLS_RENDITIONS = [
+    { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+const SEGMENT_SECONDS = 6;
+const TRANSCODE_TIMEOUT = 3 * 60 * 60 * 1000; // per rendition
+
+const PLAYLIST_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+const SEGMENT_CONTENT_TYPE = 'video/mp2t';
+
+// { width, height, hasAudio } of the first video stream. Images are single-frame video streams to ffprobe.
+async function probeVideo(sourcePath) {
+    const output = await runTool('ffprobe', [
+        '-v', 'error',
+        '-show_entries', 'stream=codec_type,width,height:stream_side_data=rotation',
+        '-of', 'json',
+        sourcePath
+    ]);
+    const streams = JSON.parse(output).streams || [];
+    const video = streams.find(stream => stream.codec_type === 'video' && stream.width && stream.height);
+    if (!video) {
+        throw new Error('No video stream found');
+    }
+    // Phones record portrait video as rotated landscape frames; ffmpeg applies the rotation
+    const rotation = Math.abs(Number((video.side_data_list || []).find(data => 'rotation' in data)?.rotation) || 0);
+    const rotated = rotation === 90 || rotation === 270;
+    return {
+        width: rotated ? video.height : video.width,
+        height: rotated ? video.width : video.height,
+        hasAudio: streams.some(stream => stream.codec_type === 'audio')
+    };
+}
+
+// Renditions no taller than the source; small videos still get the lowest one
+function pickRenditions(sourceHeight) {
+    const fitting = HLS_RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+    return fitting.length ? fitting : [HLS_RENDITIONS[HLS_RENDITIONS.length - 1]];
+}
+
+function evenWidth(source, height) {
+    return Math.max(2, Math.round((source.width * height) / source.height / 2) * 2);
+}
+
+async function transcodeRendition(sourcePath, outputDir, rendition, source) {
+    const dir = path.join(outputDir, rendition.name);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const height = Math.min(rendition.height, source.height - (source.height % 2));
+    const args = [
+        '-v', 'error', '-y',
+        '-i', sourcePath,
+        '-map', '0:v:0',
+        ...(source.hasAudio ? ['-map', '0:a:0'] : []),
+        '-vf', `scale=${evenWidth(source, height)}:${height}`,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+        '-b:v', `${rendition.videoBitrate}k`,
+        '-maxrate', `${Math.round(rendition.videoBitrate * 1.1)}k`,
+        '-bufsize', `${rendition.videoBitrate * 2}k`,
+        // Keyframes at fixed times so every rendition's segments line up
+        '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+        ...(source.hasAudio ? ['-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2'] : []),
+        '-f', 'hls',
+        '-hls_time', String(SEGMENT_SECONDS),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(dir, 'seg-%03d.ts'),
+        path.join(dir, 'index.m3u8')
+    ];
+    await runTool('ffmpeg', args, { timeout: TRANSCODE_TIMEOUT });
+    return { ...rendition, width: evenWidth(source, height), height };
+}
+
+function createMasterPlaylist(renditions) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const rendition of renditions) {
+        const bandwidth = (rendition.videoBitrate * 1.1 + rendition.audioBitrate) * 1000;
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${Math.round(bandwidth)},RESOLUTION=${rendition.width}x${rendition.height}`);
+        lines.push(`${rendition.name}/index.m3u8`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Transcode `sourcePath` into `outputDir`. Resolves with the rendition names and every file
+// written (relative paths, master playlist first). A missing ffmpeg/ffprobe has `toolMissing` set.
+async function transcodeToHls(sourcePath, outputDir) {
+    const source = await probeVideo(sourcePath);
+    const renditions = [];
+    for (const rendition of pickRenditions(source.height)) {
+        renditions.push(await transcodeRendition(sourcePath, outputDir, rendition, source));
+    }
+    await fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), createMasterPlaylist(renditions));
+
+    const files = ['master.m3u8'];
+    for (const rendition of renditions) {
+        const names = await fs.promises.readdir(path.join(outputDir, rendition.name));
+        files.push(...names.sort().map(name => `${rendition.name}/${name}`));
+    }
+    return { renditions: renditions.map(rendition => rendition.name), files };
+}
+
+function getHlsContentType(name) {
+    return name.endsWith('.m3u8') ? PLAYLIST_CONTENT_TYPE : SEGMENT_CONTENT_TYPE;
+}
+
+module.exports = { probeVideo, transcodeToHls, getHlsContentType };
@@ -0,0 +1,202 @@
+const zlib = require('zlib');
+const stream = require('stream');
+
+// Streaming zip writer: entries are read one after another and written as they come, so
+// archives of any size go out without being held in memory. The CRC and compressed size of an
+// entry are only known once it has been written, so they follow its data in a data descriptor.
+// ZIP64 records are added for entries and archives over 4GB.
+
+const ZIP64_LIMIT = 0xffffffff;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = new Int32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function updateCrc32(crc, data) {
+    let c = crc ^ -1;
+    for (let i = 0; i < data.length; i++) {
+        c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ -1) >>> 0;
+}
+
+function toDosDateTime(date) {
+    const parsed = new Date(date || Date.now());
+    const d = isNaN(parsed) ? new Date() : parsed;
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+        date: (Math.max(d.getFullYear() - 1980, 0) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+}
+
+function localHeader(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    // The ZIP64 extra field reserves room for the sizes, which the data descriptor then carries
+    const extra = entry.zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+    if (entry.zip64) {
+        extra.writeUInt16LE(0x0001, 0);
+        extra.writeUInt16LE(16, 2);
+    }
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(entry.zip64 ? 45 : 20, 4);  // version needed
+    header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.dos.time, 10);
+    header.writeUInt16LE(entry.dos.date, 12);
+    // CRC and sizes are zero here, see the data descriptor
+    if (entry.zip64) {
+        header.writeUInt32LE(ZIP64_LIMIT, 18);
+        header.writeUInt32LE(ZIP64_LIMIT, 22);
+    }
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+    return Buffer.concat([header, name, extra]);
+}
+
+function dataDescriptor(entry) {
+    if (entry.zip64) {
+        const descriptor = Buffer.alloc(24);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+        descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+        return descriptor;
+    }
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    return descriptor;
+}
+
+function centralHeader(entry) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const large = [entry.size, entry.compressedSize, entry.offset].map(value => value >= ZIP64_LIMIT);
+    const zip64Fields = [entry.size, entry.compressedSize, entry.offset].filter((value, i) => large[i]);
+    let extra = Buffer.alloc(0);
+    if (zip64Fields.length) {
+        extra = Buffer.alloc(4 + zip64Fields.length * 8);
+        extra.writeUInt16LE(0x0001, 0);
+        extra.writeUInt16LE(zip64Fields.length * 8, 2);
+        zip64Fields.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+    }
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE((3 << 8) | 45, 4);          // made by: Unix, spec 4.5
+    header.writeUInt16LE(entry.zip64 || zip64Fields.length ? 45 : 20, 6);
+    header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+    header.writeUInt16LE(entry.method, 10);
+    header.writeUInt16LE(entry.dos.time, 12);
+    header.writeUInt16LE(entry.dos.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(large[1] ? ZIP64_LIMIT : entry.compressedSize, 20);
+    header.writeUInt32LE(large[0] ? ZIP64_LIMIT : entry.size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt32LE((0o100644 << 16) >>> 0, 38); // regular file, rw-r--r--
+    header.writeUInt32LE(large[2] ? ZIP64_LIMIT : entry.offset, 42);
+    return Buffer.concat([header, name, extra]);
+}
+
+function endOfCentralDirectory(count, size, offset) {
+    const records = [];
+    if (count >= 0xffff || size >= ZIP64_LIMIT || offset >= ZIP64_LIMIT) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4);                 // size of the rest of the record
+        record.writeUInt16LE((3 << 8) | 45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(count), 24);
+        record.writeBigUInt64LE(BigInt(count), 32);
+        record.writeBigUInt64LE(BigInt(size), 40);
+        record.writeBigUInt64LE(BigInt(offset), 48);
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset + size), 8);
+        locator.writeUInt32LE(1, 16);                    // total number of disks
+        records.push(record, locator);
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(count, 0xffff), 8);
+    end.writeUInt16LE(Math.min(count, 0xffff), 10);
+    end.writeUInt32LE(Math.min(size, ZIP64_LIMIT), 12);
+    end.writeUInt32LE(Math.min(offset, ZIP64_LIMIT), 16);
+    records.push(end);
+    return Buffer.concat(records);
+}
+
+// Readable zip of `entries`: [{ name, date, size, compress, open }], where `open()` resolves with
+// a stream of the content and `size` is its expected length (it decides on ZIP64). Entries that
+// are already compressed (images, video, archives) should be stored with `compress: false`.
+function createZipStream(entries) {
+    async function* generate() {
+        const written = [];
+        let offset = 0;
+
+        for (const source of entries) {
+            const entry = {
+                name: source.name,
+                dos: toDosDateTime(source.date),
+                method: source.compress ? METHOD_DEFLATE : METHOD_STORE,
+                // Deflate can grow incompressible data a little, so ZIP64 starts below the limit
+                zip64: (source.size || 0) >= ZIP64_LIMIT - 1024 * 1024,
+                offset,
+                crc: 0,
+                size: 0,
+                compressedSize: 0
+            };
+            const header = localHeader(entry);
+            yield header;
+            offset += header.length;
+
+            const content = await source.open();
+            const measure = new stream.Transform({
+                transform(chunk, encoding, callback) {
+                    entry.crc = updateCrc32(entry.crc, chunk);
+                    entry.size += chunk.length;
+                    callback(null, chunk);
+                }
+            });
+            const output = entry.method === METHOD_DEFLATE
+                ? stream.pipeline(content, measure, zlib.createDeflateRaw(), () => {})
+                : stream.pipeline(content, measure, () => {});
+            for await (const chunk of output) {
+                entry.compressedSize += chunk.length;
+                yield chunk;
+            }
+            offset += entry.compressedSize;
+            if (!entry.zip64 && (entry.size >= ZIP64_LIMIT || entry.compressedSize >= ZIP64_LIMIT)) {
+                throw new Error(`${entry.name} is larger than its expected size`);
+            }
+
+            const descriptor = dataDescriptor(entry);
+            yield descriptor;
+            offset += descriptor.length;
+            written.push(entry);
+        }
+
+        const directoryOffset = offset;
+        let directorySize = 0;
+        for (const entry of written) {
+            const header = centralHeader(entry);
+            directorySize += header.length;
+            yield header;
+        }
+        yield endOfCentralDirectory(written.length, directorySize, directoryOffset);
+    }
+
+    return stream.Readable.from(generate(), { objectMode: false });
+}
+
+module.exports = { createZipStream, updateCrc32 };
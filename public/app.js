@@ -11,16 +11,26 @@ document.addEventListener('DOMContentLoaded', () => {
     const uploadForm = document.getElementById('upload-form');
     const uploadResult = document.getElementById('upload-result');
     const historyCards = document.getElementById('history-cards');
+    const downloadAllButton = document.getElementById('download-all-button');
     const themeSelect = document.getElementById('theme-select');
+    const stripExifCheckbox = document.getElementById('strip-exif-checkbox');
+    const e2eEncryptCheckbox = document.getElementById('e2e-encrypt');
+    const snippetText = document.getElementById('snippet-text');
+    const snippetTitle = document.getElementById('snippet-title');
+    const snippetLanguage = document.getElementById('snippet-language');
+    const snippetSaveButton = document.getElementById('snippet-save-btn');
     const diskSpaceInfo = document.getElementById('disk-space-info');
 
-    // Add progress bar element
-    const progressBarContainer = document.createElement('div');
-    progressBarContainer.className = 'progress-container hidden';
-    const progressBar = document.createElement('div');
-    progressBar.className = 'progress-bar';
-    progressBarContainer.appendChild(progressBar);
-    uploadForm.after(progressBarContainer);
+    // Add upload queue element (one row per file, plus a summary line)
+    const uploadQueueContainer = document.createElement('div');
+    uploadQueueContainer.className = 'upload-queue hidden';
+    const uploadQueueList = document.createElement('div');
+    uploadQueueList.className = 'upload-queue-list';
+    const uploadQueueSummary = document.createElement('div');
+    uploadQueueSummary.className = 'upload-queue-summary';
+    uploadQueueContainer.appendChild(uploadQueueList);
+    uploadQueueContainer.appendChild(uploadQueueSummary);
+    uploadForm.after(uploadQueueContainer);
 
     const baseUrl = 'https://ohiofiles.live';
 
@@ -90,6 +100,38 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
+    // Show how much of the session's storage quota is used
+    function updateStorageUsage(usage) {
+        const usageText = document.getElementById('storage-usage-text');
+        const usageBar = document.getElementById('storage-usage-bar');
+        if (!usage || !usageText || !usageBar) return;
+
+        const parts = [usage.maxBytes ? `${formatFileSize(usage.bytes)} of ${formatFileSize(usage.maxBytes)}` : formatFileSize(usage.bytes)];
+        if (usage.maxFiles) {
+            parts.push(`${usage.files} of ${usage.maxFiles} files`);
+        }
+        usageText.textContent = parts.join(' • ');
+
+        // The bar follows whichever limit is closer
+        const ratio = Math.max(
+            usage.maxBytes ? usage.bytes / usage.maxBytes : 0,
+            usage.maxFiles ? usage.files / usage.maxFiles : 0
+        );
+        usageBar.style.width = `${Math.min(100, ratio * 100)}%`;
+        usageBar.classList.toggle('warning', ratio >= 0.9);
+    }
+
+    async function loadStorageUsage() {
+        try {
+            const response = await fetch(`/api/session/${currentSessionKey}/usage`);
+            if (response.ok) {
+                updateStorageUsage(await response.json());
+            }
+        } catch (error) {
+            console.log('Could not load storage usage:', error);
+        }
+    }
+    
     // Get history for current session
     function getSessionHistory() {
         const allHistory = JSON.parse(localStorage.getItem('uploadHistory') || '[]');
@@ -208,6 +250,30 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Load session history (placeholder for future server integration)
+    // Local history entries by file URL
+    function getLocalHistoryItems(history) {
+        return new Map(history.map(item => [item.fileUrl, item]));
+    }
+
+    // History entry for a file listed by the server. The server only knows encrypted files under a
+    // placeholder name, and never their key, so both are kept from the local entry.
+    function toHistoryItem(file, sessionKey, localItems) {
+        const fileUrl = `/${file.storedName}`;
+        const local = localItems.get(fileUrl);
+        const item = {
+            fileUrl,
+            fileName: file.e2eEncrypted && local ? local.fileName : file.originalName,
+            uploadDate: file.uploadDate || new Date().toISOString(),
+            size: file.size,
+            isPublic: file.isPublic,
+            sessionKey: sessionKey
+        };
+        if (local && local.fileKey) {
+            item.fileKey = local.fileKey;
+        }
+        return item;
+    }
+
     async function loadSessionHistory(sessionKey) {
         try {
             console.log('Loading session history for:', sessionKey);
@@ -219,23 +285,20 @@ document.addEventListener('DOMContentLoaded', () => {
             if (response.ok) {
                 const serverFiles = await response.json();
                 console.log('Server files for session:', serverFiles);
+                if (sessionKey === currentSessionKey) {
+                    loadStorageUsage();
+                }
                 
                 if (serverFiles.length === 0) {
                     return;
                 }
                 
-                // Convert server files to our local history format
-                const historyItems = serverFiles.map(file => ({
-                    fileUrl: `/${file.storedName}`,
-                    fileName: file.originalName,
-                    uploadDate: file.uploadDate || new Date().toISOString(),
-                    size: file.size,
-                    isPublic: file.isPublic,
-                    sessionKey: sessionKey
-                }));
-                
                 // Get existing history and merge with server data
                 const existingHistory = JSON.parse(localStorage.getItem('uploadHistory') || '[]');
+                const localItems = getLocalHistoryItems(existingHistory);
+
+                // Convert server files to our local history format
+                const historyItems = serverFiles.map(file => toHistoryItem(file, sessionKey, localItems));
                 
                 // Remove any existing entries for this session to avoid duplicates
                 const filteredHistory = existingHistory.filter(item => item.sessionKey !== sessionKey);
@@ -268,19 +331,14 @@ document.addEventListener('DOMContentLoaded', () => {
             if (response.ok) {
                 const serverFiles = await response.json();
                 console.log('Auto-sync found', serverFiles.length, 'files on server');
-                
-                // Convert server files to our local history format
-                const serverHistoryItems = serverFiles.map(file => ({
-                    fileUrl: `/${file.storedName}`,
-                    fileName: file.originalName,
-                    uploadDate: file.uploadDate || new Date().toISOString(),
-                    size: file.size,
-                    isPublic: file.isPublic,
-                    sessionKey: currentSessionKey
-                }));
+                loadStorageUsage();
                 
                 // Get existing history
                 const existingHistory = JSON.parse(localStorage.getItem('uploadHistory') || '[]');
+                const localItems = getLocalHistoryItems(existingHistory);
+
+                // Convert server files to our local history format
+                const serverHistoryItems = serverFiles.map(file => toHistoryItem(file, currentSessionKey, localItems));
                 
                 // Create sets of file URLs for comparison
                 const serverUrls = new Set(serverHistoryItems.map(item => item.fileUrl));
@@ -359,67 +417,279 @@ document.addEventListener('DOMContentLoaded', () => {
     // Drag and Drop functionality
     let dragCounter = 0;
 
-    // Function to handle file upload (reusable for both form and drag/drop)
-    function handleFileUpload(file, customFilename = '', isPublic = false) {
-        console.log('Uploading file:', file.name, 'Size:', file.size, 'Custom filename:', customFilename, 'Public:', isPublic);
-        
-        // Show progress bar
-        progressBarContainer.classList.remove('hidden');
-        progressBar.style.width = '0%';
+    // Upload queue: several files at once, limited parallelism, per-file
+    // progress rows with cancel/retry. Files are sent through the resumable
+    // chunked protocol, so a dropped connection only costs the chunk in flight.
+    const MAX_PARALLEL_UPLOADS = 3;
+    const MAX_UPLOAD_SIZE = 100 * 1024 * 1024;
+    const uploadQueue = [];
+    let activeUploads = 0;
+
+    // Read the upload settings from the form
+    function getUploadOptions() {
+        const expiresIn = document.getElementById('expires-in').value;
+        const maxDownloads = document.getElementById('max-downloads').value.trim();
+        const burnAfterRead = document.getElementById('burn-after-read').checked;
+
+        const lifetime = {};
+        if (expiresIn) lifetime.expiresIn = expiresIn;
+        if (maxDownloads) lifetime.maxDownloads = maxDownloads;
+        if (burnAfterRead) lifetime.burnAfterRead = true;
+
+        const protection = {};
+        if (document.getElementById('signed-urls-only').checked) protection.signedUrlsOnly = true;
+        const allowedReferers = document.getElementById('allowed-referers').value.trim();
+        if (allowedReferers) protection.allowedReferers = allowedReferers;
+
+        return {
+            customFilename: document.getElementById('custom-filename').value.trim(),
+            isPublic: document.getElementById('public-checkbox').checked,
+            password: document.getElementById('file-password').value,
+            stripMetadata: stripExifCheckbox.checked,
+            encrypt: e2eEncryptCheckbox.checked,
+            lifetime,
+            protection
+        };
+    }
+
+    // Add files to the queue; a custom filename gets a numeric suffix when several files share it.
+    // `snippet` ({ language }) uploads text files as snippets with a viewer page.
+    function enqueueFiles(files, { customFilename = '', isPublic = false, password = '', stripMetadata = false, encrypt = false, lifetime = {}, protection = {}, snippet = null } = {}) {
+        const fileList = Array.from(files);
+        if (fileList.length === 0) return;
+
         uploadResult.innerHTML = '';
+        uploadQueueContainer.classList.remove('hidden');
 
-        const formData = new FormData();
-        formData.append('file', file);
-        if (customFilename) {
-            formData.append('customFilename', customFilename);
+        // Start a fresh summary when the previous batch has finished
+        if (uploadQueue.every(item => !['queued', 'uploading'].includes(item.status))) {
+            uploadQueue.length = 0;
+            uploadQueueList.innerHTML = '';
         }
-        formData.append('isPublic', isPublic ? 'true' : 'false');
-        formData.append('sessionKey', currentSessionKey);
 
-        const xhr = new XMLHttpRequest();
-        xhr.open('POST', '/upload', true);
+        fileList.forEach((file, index) => {
+            const itemFilename = customFilename && fileList.length > 1 ? `${customFilename}-${index + 1}` : customFilename;
+            const item = {
+                file,
+                customFilename: itemFilename,
+                isPublic,
+                password,
+                // Metadata can't be stripped on the server from encrypted content
+                stripMetadata: stripMetadata && !encrypt,
+                encrypt,
+                lifetime,
+                // Encrypted files are read through their decrypt page, which can't sign its request
+                protection: encrypt ? {} : protection,
+                // Encrypted snippets can only be read on the decrypt page, so they are uploaded as plain files
+                snippet: encrypt ? null : snippet,
+                status: 'queued',
+                error: '',
+                controller: null
+            };
+            item.row = createUploadRow(item);
+            setUploadStatus(item, 'queued');
+            uploadQueueList.appendChild(item.row.element);
+            uploadQueue.push(item);
 
-        // Track upload progress
-        xhr.upload.onprogress = (e) => {
-            if (e.lengthComputable) {
-                const percentComplete = (e.loaded / e.total) * 100;
-                progressBar.style.width = percentComplete + '%';
-                progressBar.textContent = Math.round(percentComplete) + '%';
+            // Check file size (100MB limit)
+            if (file.size > MAX_UPLOAD_SIZE) {
+                setUploadStatus(item, 'failed', 'File size exceeds 100MB limit');
             }
+        });
+
+        updateUploadSummary();
+        processUploadQueue();
+    }
+
+    function createUploadRow(item) {
+        const element = document.createElement('div');
+        element.className = 'upload-row';
+
+        const header = document.createElement('div');
+        header.className = 'upload-row-header';
+        const name = document.createElement('span');
+        name.className = 'upload-row-name';
+        name.textContent = `${item.file.name} (${formatFileSize(item.file.size)})`;
+        const status = document.createElement('span');
+        status.className = 'upload-row-status';
+        header.appendChild(name);
+        header.appendChild(status);
+
+        const progressContainer = document.createElement('div');
+        progressContainer.className = 'progress-container';
+        const progressBar = document.createElement('div');
+        progressBar.className = 'progress-bar';
+        progressContainer.appendChild(progressBar);
+
+        const actions = document.createElement('div');
+        actions.className = 'upload-row-actions';
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => cancelUpload(item));
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.textContent = 'Retry';
+        retryButton.addEventListener('click', () => retryUpload(item));
+        actions.appendChild(cancelButton);
+        actions.appendChild(retryButton);
+
+        element.appendChild(header);
+        element.appendChild(progressContainer);
+        element.appendChild(actions);
+
+        return { element, status, progressBar, cancelButton, retryButton };
+    }
+
+    function setUploadProgress(item, loaded, total) {
+        const percentComplete = total > 0 ? (loaded / total) * 100 : 100;
+        item.row.progressBar.style.width = percentComplete + '%';
+        item.row.progressBar.textContent = Math.round(percentComplete) + '%';
+    }
+
+    function setUploadStatus(item, status, message = '') {
+        item.status = status;
+        item.error = status === 'failed' ? message : '';
+
+        const labels = {
+            queued: 'Waiting...',
+            uploading: 'Uploading...',
+            done: 'Uploaded ✔',
+            failed: `Failed: ${message}`,
+            cancelled: 'Cancelled'
         };
+        item.row.status.textContent = message && status === 'uploading' ? message : labels[status];
+        if (message && status === 'done') {
+            item.row.status.textContent += ` • ${message}`;
+        }
+        item.row.element.className = `upload-row ${status}`;
+        item.row.cancelButton.classList.toggle('hidden', !['queued', 'uploading'].includes(status));
+        item.row.retryButton.classList.toggle('hidden', !['failed', 'cancelled'].includes(status) || item.file.size > MAX_UPLOAD_SIZE);
+        if (status === 'done') {
+            setUploadProgress(item, 1, 1);
+        }
+    }
 
-        // Handle completion
-        xhr.onload = async function () {
-            if (xhr.status === 200) {
-                const result = JSON.parse(xhr.responseText);
-                uploadResult.innerHTML = '<div class="success-message">File uploaded successfully!</div>';
-                await updateHistory(result.fileUrl, file.name, isPublic);
-                
-                // Auto-sync session after upload to ensure other devices see the new file
-                try {
-                    await syncSessionFiles();
-                } catch (error) {
-                    console.log('Auto-sync after upload failed:', error);
+    function updateUploadSummary() {
+        const count = (status) => uploadQueue.filter(item => item.status === status).length;
+        const pending = count('queued') + count('uploading');
+        const parts = [`${count('done')} uploaded`];
+        if (count('failed') > 0) parts.push(`${count('failed')} failed`);
+        if (count('cancelled') > 0) parts.push(`${count('cancelled')} cancelled`);
+        if (pending > 0) parts.push(`${pending} remaining`);
+        uploadQueueSummary.textContent = `${uploadQueue.length} file${uploadQueue.length === 1 ? '' : 's'}: ${parts.join(', ')}`;
+    }
+
+    function processUploadQueue() {
+        while (activeUploads < MAX_PARALLEL_UPLOADS) {
+            const next = uploadQueue.find(item => item.status === 'queued');
+            if (!next) break;
+            activeUploads++;
+            uploadQueueItem(next).finally(() => {
+                activeUploads--;
+                updateUploadSummary();
+                processUploadQueue();
+                if (activeUploads === 0 && !uploadQueue.some(item => item.status === 'queued')) {
+                    onUploadQueueIdle();
                 }
+            });
+        }
+    }
+
+    async function uploadQueueItem(item) {
+        console.log('Uploading file:', item.file.name, 'Size:', item.file.size, 'Custom filename:', item.customFilename, 'Public:', item.isPublic);
+        item.controller = new AbortController();
+        setUploadStatus(item, 'uploading');
+        setUploadProgress(item, 0, item.file.size);
+        updateUploadSummary();
+
+        try {
+            // End-to-end encryption: only the ciphertext is uploaded, the key stays in the share link.
+            // A resumed upload has to send the same ciphertext, so an interrupted upload of this file
+            // is found by the plaintext and its key is used again.
+            let uploadFile = item.file;
+            let fileKey = null;
+            let resume = {};
+            if (item.encrypt) {
+                setUploadStatus(item, 'uploading', 'Encrypting...');
+                const fingerprint = `e2e:${getFileFingerprint(item.file)}`;
+                const previous = getPendingUploads()[fingerprint];
+                const encrypted = await encryptFileForUpload(item.file, previous && previous.encryption);
+                uploadFile = encrypted.file;
+                fileKey = encrypted.key;
+                resume = { fingerprint, fileName: item.file.name, encryption: { key: encrypted.key, ivPrefix: encrypted.ivPrefix } };
+                setUploadStatus(item, 'uploading');
+            }
+
+            const result = await uploadFileResumable(uploadFile, {
+                customFilename: item.customFilename,
+                isPublic: item.isPublic,
+                password: item.password,
+                stripMetadata: item.stripMetadata,
+                e2eEncrypted: item.encrypt,
+                lifetime: item.lifetime,
+                protection: item.protection,
+                snippet: item.snippet,
+                sessionKey: currentSessionKey,
+                signal: item.controller.signal,
+                onProgress: (loaded, total) => setUploadProgress(item, loaded, total),
+                onRetry: (attempt) => setUploadStatus(item, 'uploading', `Connection lost, retrying (attempt ${attempt})...`),
+                onResume: () => setUploadStatus(item, 'uploading'),
+                ...resume
+            });
+
+            setUploadStatus(item, 'done', item.encrypt ? 'end-to-end encrypted' : describeMetadataResult(result.metadata));
+            // The server adds the language's extension to snippet names
+            await updateHistory(result.fileUrl, item.snippet ? result.originalName : item.file.name, item.isPublic, fileKey);
+        } catch (error) {
+            if (item.controller.signal.aborted) {
+                setUploadStatus(item, 'cancelled');
             } else {
-                let errorMsg = 'Upload failed';
-                try {
-                    const errorObj = JSON.parse(xhr.responseText);
-                    errorMsg = errorObj.error || errorMsg;
-                } catch (e) {
-                    // If response isn't valid JSON
-                }
-                uploadResult.innerHTML = `<div class="error-message">Error: ${errorMsg}</div>`;
+                setUploadStatus(item, 'failed', error.message || 'Upload failed');
             }
-            progressBarContainer.classList.add('hidden');
-        };
+        }
+    }
 
-        xhr.onerror = function () {
-            uploadResult.innerHTML = '<div class="error-message">Network error occurred</div>';
-            progressBarContainer.classList.add('hidden');
-        };
+    function cancelUpload(item) {
+        if (item.status === 'uploading' && item.controller) {
+            item.controller.abort();
+        } else if (item.status === 'queued') {
+            setUploadStatus(item, 'cancelled');
+            updateUploadSummary();
+        }
+    }
+
+    function retryUpload(item) {
+        setUploadStatus(item, 'queued');
+        setUploadProgress(item, 0, item.file.size);
+        updateUploadSummary();
+        processUploadQueue();
+    }
+
+    async function onUploadQueueIdle() {
+        const failed = uploadQueue.filter(item => item.status === 'failed').length;
+        const done = uploadQueue.filter(item => item.status === 'done').length;
+        if (done > 0 && failed === 0) {
+            uploadResult.innerHTML = `<div class="success-message">${done === 1 ? 'File' : `${done} files`} uploaded successfully!</div>`;
+        } else if (failed > 0) {
+            uploadResult.innerHTML = `<div class="error-message">${failed} of ${uploadQueue.length} uploads failed</div>`;
+        }
+
+        // Auto-sync session after upload to ensure other devices see the new files
+        if (done > 0) {
+            try {
+                await syncSessionFiles();
+            } catch (error) {
+                console.log('Auto-sync after upload failed:', error);
+            }
+        }
+    }
 
-        xhr.send(formData);
+    // Let the user know about uploads that were interrupted by a page reload
+    const unfinishedUploads = Object.values(getPendingUploads());
+    if (unfinishedUploads.length > 0) {
+        const names = unfinishedUploads.map(item => item.fileName).join(', ');
+        showSessionNotification(`Unfinished upload: ${names}. Select the same file again to resume.`, 'info');
     }
 
     // Drag and drop event listeners
@@ -448,49 +718,60 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const files = e.dataTransfer.files;
         if (files.length > 0) {
-            const file = files[0];
-            // Check file size (100MB limit)
-            if (file.size > 100 * 1024 * 1024) {
-                uploadResult.innerHTML = '<div class="error-message">Error: File size exceeds 100MB limit</div>';
-                return;
-            }
-            
             // Use settings from the form for consistency
-            const customFilename = document.getElementById('custom-filename').value.trim();
-            const isPublic = document.getElementById('public-checkbox').checked;
-            
-            handleFileUpload(file, customFilename, isPublic);
+            enqueueFiles(files, getUploadOptions());
         }
     });
 
     // Clipboard paste functionality
     document.addEventListener('paste', (e) => {
         const items = e.clipboardData.items;
-        
+        const files = [];
+
         for (let i = 0; i < items.length; i++) {
             const item = items[i];
-            
+
             // Handle any file type from clipboard, not just images
             if (item.kind === 'file') {
-                e.preventDefault();
                 const file = item.getAsFile();
-                
                 if (file) {
-                    // Check file size (100MB limit)
-                    if (file.size > 100 * 1024 * 1024) {
-                        uploadResult.innerHTML = '<div class="error-message">Error: File size exceeds 100MB limit</div>';
-                        return;
-                    }
-                    
-                    // Use settings from the form for consistency
-                    const customFilename = document.getElementById('custom-filename').value.trim();
-                    const isPublic = document.getElementById('public-checkbox').checked;
-                    
-                    handleFileUpload(file, customFilename, isPublic);
+                    files.push(file);
                 }
-                break;
             }
         }
+
+        if (files.length > 0) {
+            e.preventDefault();
+
+            // Use settings from the form for consistency
+            enqueueFiles(files, getUploadOptions());
+            return;
+        }
+
+        // Text pasted outside of a text field goes into the snippet box, to be saved from there
+        const text = e.clipboardData.getData('text/plain');
+        const target = e.target;
+        const isEditable = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (text && !isEditable) {
+            e.preventDefault();
+            showSection(uploadSection);
+            snippetText.value = text;
+            snippetText.focus();
+        }
+    });
+
+    // Snippets: the text is uploaded as a file through the upload queue, with the same options as files
+    snippetSaveButton.addEventListener('click', () => {
+        const text = snippetText.value;
+        if (!text.trim()) {
+            snippetText.focus();
+            return;
+        }
+        const title = snippetTitle.value.trim() || 'snippet';
+        const file = new File([text], title, { type: 'text/plain' });
+        enqueueFiles([file], { ...getUploadOptions(), snippet: { language: snippetLanguage.value } });
+        snippetText.value = '';
+        snippetTitle.value = '';
     });
 
     // Tab navigation
@@ -555,31 +836,68 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Import from URL: the server downloads the file in the background and we poll the job
+    const importUrlInput = document.getElementById('import-url');
+    const importButton = document.getElementById('import-url-btn');
+    const importStatus = document.getElementById('import-status');
+
+    async function importFromUrl(url, { customFilename, isPublic, password, stripMetadata, lifetime, protection }) {
+        importButton.disabled = true;
+        importStatus.textContent = 'Starting import...';
+        try {
+            let job = await requestUploadJson('/upload/url', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ url, customFilename, isPublic, sessionKey: currentSessionKey, password, stripMetadata, ...lifetime, ...protection })
+            });
+            while (job.status === 'downloading' || job.status === 'processing') {
+                importStatus.textContent = job.status === 'processing'
+                    ? 'Processing...'
+                    : `Downloading... ${job.progress !== null ? job.progress + '%' : formatFileSize(job.receivedBytes)}`;
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                job = await requestUploadJson(`/upload/url/${job.jobId}`);
+            }
+            if (job.status === 'failed') {
+                throw new Error(job.error);
+            }
+
+            const metadataText = describeMetadataResult(job.result.metadata);
+            importStatus.textContent = `Imported ${job.result.originalName}${metadataText ? ' • ' + metadataText : ''}`;
+            importUrlInput.value = '';
+            await updateHistory(job.result.fileUrl, job.result.originalName, isPublic);
+            await syncSessionFiles().catch(error => console.log('Auto-sync after import failed:', error));
+        } catch (error) {
+            importStatus.textContent = `Import failed: ${error.message}`;
+        } finally {
+            importButton.disabled = false;
+        }
+    }
+
+    importButton.addEventListener('click', () => {
+        const url = importUrlInput.value.trim();
+        if (!url) {
+            importStatus.textContent = 'Enter a link to import';
+            return;
+        }
+        importFromUrl(url, getUploadOptions());
+    });
+
     // File upload
     uploadForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const fileInput = document.getElementById('file-input');
-        const customFilenameInput = document.getElementById('custom-filename');
-        const publicCheckbox = document.getElementById('public-checkbox');
-        const file = fileInput.files[0];
-        const customFilename = customFilenameInput.value.trim();
-        const isPublic = publicCheckbox.checked;
 
-        if (file) {
-            // Check file size (100MB limit)
-            if (file.size > 100 * 1024 * 1024) {
-                uploadResult.innerHTML = '<div class="error-message">Error: File size exceeds 100MB limit</div>';
-                return;
-            }
-            
-            handleFileUpload(file, customFilename, isPublic);
+        if (fileInput.files.length > 0) {
+            enqueueFiles(fileInput.files, getUploadOptions());
+            fileInput.value = '';
+            document.getElementById('file-password').value = '';
         }
     });
 
     // Update history
-    async function updateHistory(fileUrl, fileName, isPublic = false) {
+    async function updateHistory(fileUrl, fileName, isPublic = false, fileKey = null) {
         try {
-            const card = await createHistoryCard(fileUrl, fileName, isPublic);
+            const card = await createHistoryCard(fileUrl, fileName, isPublic, fileKey);
             if (card && card instanceof HTMLElement) {
                 historyCards.appendChild(card);
             } else {
@@ -599,6 +917,9 @@ document.addEventListener('DOMContentLoaded', () => {
             uploadDate: new Date().toISOString(),
             isPublic: isPublic
         };
+        if (fileKey) {
+            newItem.fileKey = fileKey; // key of an end-to-end encrypted file, only ever stored in this browser
+        }
         history.push(newItem);
         localStorage.setItem('uploadHistory', JSON.stringify(history));
         
@@ -621,8 +942,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
         for (const item of sessionHistory) {
             const response = await fetch(item.fileUrl, { method: 'HEAD' });
-            if (response.ok) {
-                const card = await createHistoryCard(item.fileUrl, item.fileName, item.isPublic || false);
+            // 401 means the file is still there but password protected
+            if (response.ok || response.status === 401) {
+                const card = await createHistoryCard(item.fileUrl, item.fileName, item.isPublic || false, item.fileKey);
                 historyCards.appendChild(card);
                 verifiedHistory.push(item);
             }
@@ -636,7 +958,7 @@ document.addEventListener('DOMContentLoaded', () => {
         localStorage.setItem('uploadHistory', JSON.stringify(allVerifiedHistory));
     }
 
-    async function createHistoryCard(fileUrl, fileName, isPublic = false) {
+    async function createHistoryCard(fileUrl, fileName, isPublic = false, fileKey = null) {
         const card = document.createElement('div');
         card.className = 'history-card';
 
@@ -667,10 +989,34 @@ document.addEventListener('DOMContentLoaded', () => {
             mimeType = fileInfo.mimeType;
         }
 
+        // Loading a preview would use up a download of limited files, protected files need unlocking first,
+        // files are not served until the malware scan is done and encrypted files are only ciphertext
+        const isEncrypted = !!(fileInfo && fileInfo.e2eEncrypted);
+        const skipPreview = fileInfo && (fileInfo.burnAfterRead || fileInfo.maxDownloads || fileInfo.passwordProtected ||
+            fileInfo.signedUrlsOnly || fileInfo.scanStatus === 'pending' || fileInfo.scanStatus === 'infected' || fileInfo.scanStatus === 'scan-failed' || isEncrypted);
+
+        // Encrypted files are shared through their decrypt page, with the key in the fragment, and snippets through their viewer
+        const snippetUrl = fileInfo && fileInfo.snippet ? `${baseUrl}${fileInfo.snippet.url}` : null;
+        const shareUrl = isEncrypted ? `${baseUrl}/e/${shortId}${fileKey ? '#' + fileKey : ''}` : snippetUrl || fullFileUrl;
+
+        // Files that need signed links are shared and opened through fresh ones, their plain URL doesn't work
+        const signedOnly = !!(fileInfo && fileInfo.signedUrlsOnly);
+        async function openSignedLink() {
+            // Opened right away, popup blockers don't allow it once the request is done
+            const tab = window.open('', '_blank');
+            try {
+                tab.location = `${baseUrl}${await createSignedUrl(shortId)}`;
+            } catch (error) {
+                if (tab) tab.close();
+                showNotification(`Could not create a signed link: ${error.message}`, 'error');
+            }
+        }
+
         // Create optimized media preview
-        if (isMediaFile(fileName)) {
+        if (isMediaFile(fileName) && !skipPreview) {
             try {
-                const mediaElement = createOptimizedMediaElement(fullFileUrl, fileName, mimeType);
+                const mediaElement = createOptimizedMediaElement(fullFileUrl, fileName, mimeType, fileInfo && fileInfo.thumbnailUrl,
+                    fileInfo && fileInfo.transcoding && fileInfo.transcoding.hlsUrl);
                 if (mediaElement && mediaElement instanceof HTMLElement) {
                     mediaElement.style.maxWidth = '220px';
                     mediaElement.style.maxHeight = '220px';
@@ -709,7 +1055,7 @@ document.addEventListener('DOMContentLoaded', () => {
             iconDiv.style.background = 'var(--bg-color)';
             iconDiv.style.borderRadius = '8px';
             iconDiv.style.border = '2px dashed var(--primary-color)';
-            iconDiv.textContent = getFileIcon(fileName);
+            iconDiv.textContent = isEncrypted ? '🔐' : snippetUrl ? '📝' : getFileIcon(fileName);
             previewContainer.appendChild(iconDiv);
         }
 
@@ -731,13 +1077,19 @@ document.addEventListener('DOMContentLoaded', () => {
         infoContainer.style.gap = '8px';
 
         const link = document.createElement('a');
-        link.href = fileUrl;
+        link.href = isEncrypted || snippetUrl ? shareUrl : fileUrl;
         link.textContent = fileName;
         link.target = '_blank';
         link.rel = 'noopener noreferrer';
         link.style.fontSize = '1.1em';
         link.style.fontWeight = 'bold';
         link.style.wordBreak = 'break-all';
+        if (signedOnly) {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                openSignedLink();
+            });
+        }
 
         // Enhanced file info display
         const fileInfoDisplay = document.createElement('div');
@@ -745,23 +1097,34 @@ document.addEventListener('DOMContentLoaded', () => {
         fileInfoDisplay.style.color = 'var(--text-color)';
         fileInfoDisplay.style.opacity = '0.8';
         
-        if (fileInfo) {
+        if (fileInfo && fileInfo.size === undefined) {
+            fileInfoDisplay.textContent = '🔒 Password protected';
+        } else if (fileInfo) {
             const sizeText = formatFileSize(fileInfo.size);
-            const streamingText = fileInfo.supportsRangeRequests ? ' • Streaming ⚡' : '';
-            fileInfoDisplay.textContent = `${sizeText}${streamingText}`;
+            const streamingText = formatStreamingStatus(fileInfo);
+            const lifetimeText = formatFileLifetime(fileInfo);
+            const passwordText = fileInfo.passwordProtected ? ' • 🔒 Password protected' : '';
+            const scanText = formatScanStatus(fileInfo);
+            const downloadsText = formatDownloadStats(fileInfo);
+            const encryptedText = isEncrypted ? (fileKey ? ' • 🔐 End-to-end encrypted' : ' • 🔐 End-to-end encrypted (key not on this device)') : '';
+            fileInfoDisplay.textContent = `${sizeText}${streamingText}${passwordText}${encryptedText}${scanText}${downloadsText}${lifetimeText ? ' • ' + lifetimeText : ''}`;
         }
 
         const linkDisplay = document.createElement('div');
         linkDisplay.style.fontSize = '0.95em';
         linkDisplay.style.wordBreak = 'break-all';
         const linkAnchor = document.createElement('a');
-        linkAnchor.href = fullFileUrl;
-        linkAnchor.textContent = fullFileUrl;
+        linkAnchor.href = shareUrl;
+        linkAnchor.textContent = shareUrl;
         linkAnchor.target = '_blank';
         linkAnchor.rel = 'noopener noreferrer';
         linkAnchor.style.wordBreak = 'break-all';
-        linkDisplay.textContent = 'Link: ';
-        linkDisplay.appendChild(linkAnchor);
+        if (signedOnly) {
+            linkDisplay.textContent = 'Link: 🔏 signed links only - use Copy Signed Link';
+        } else {
+            linkDisplay.textContent = 'Link: ';
+            linkDisplay.appendChild(linkAnchor);
+        }
 
         // Add public/private status display
         const statusDisplay = document.createElement('div');
@@ -794,15 +1157,27 @@ document.addEventListener('DOMContentLoaded', () => {
         actions.style.flexWrap = 'wrap';
 
         const copyButton = document.createElement('button');
-        copyButton.textContent = 'Copy Link';
-        copyButton.addEventListener('click', () => {
-            copyToClipboard(fullFileUrl, shortId);
+        copyButton.textContent = signedOnly ? '🔏 Copy Signed Link (24h)' : 'Copy Link';
+        copyButton.addEventListener('click', async () => {
+            if (!signedOnly) {
+                copyToClipboard(shareUrl, shortId);
+                return;
+            }
+            try {
+                copyToClipboard(`${baseUrl}${await createSignedUrl(shortId, 24 * 60 * 60)}`, shortId);
+            } catch (error) {
+                showNotification(`Could not create a signed link: ${error.message}`, 'error');
+            }
         });
 
         const openButton = document.createElement('button');
         openButton.textContent = 'Open in New Tab';
         openButton.addEventListener('click', () => {
-            window.open(fullFileUrl, '_blank');
+            if (signedOnly) {
+                openSignedLink();
+            } else {
+                window.open(shareUrl, '_blank');
+            }
         });
 
         // Toggle public/private button
@@ -884,6 +1259,31 @@ document.addEventListener('DOMContentLoaded', () => {
 
         actions.appendChild(copyButton);
         actions.appendChild(openButton);
+        // Snippets already link to their viewer
+        if (fileInfo && fileInfo.pageUrl && !snippetUrl) {
+            const pageButton = document.createElement('button');
+            pageButton.textContent = '🔎 Preview Page';
+            pageButton.addEventListener('click', () => {
+                window.open(`${baseUrl}${fileInfo.pageUrl}`, '_blank');
+            });
+            actions.appendChild(pageButton);
+        }
+        if (fileInfo && fileInfo.archiveUrl) {
+            const browseButton = document.createElement('button');
+            browseButton.textContent = '📦 Browse Archive';
+            browseButton.addEventListener('click', () => {
+                window.open(`${baseUrl}${fileInfo.archiveUrl}`, '_blank');
+            });
+            actions.appendChild(browseButton);
+        }
+        if (snippetUrl) {
+            const rawButton = document.createElement('button');
+            rawButton.textContent = '📄 Raw Text';
+            rawButton.addEventListener('click', () => {
+                window.open(`${baseUrl}${fileInfo.snippet.rawUrl}`, '_blank');
+            });
+            actions.appendChild(rawButton);
+        }
         actions.appendChild(toggleButton);
         actions.appendChild(removeButton);
 
@@ -927,6 +1327,28 @@ document.addEventListener('DOMContentLoaded', () => {
         localStorage.setItem('theme', theme);
     });
 
+    // Download every file of the session as one zip, streamed by the server. The link is signed
+    // for the session, so signed-only and private files are included like for their uploader.
+    downloadAllButton.addEventListener('click', async () => {
+        if (!historyCards.children.length) {
+            alert('There are no uploads to download yet.');
+            return;
+        }
+        try {
+            const response = await fetch(`/api/session/${encodeURIComponent(currentSessionKey)}/download-link`, {
+                method: 'POST',
+                headers: { 'X-Session-Key': currentSessionKey }
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Request failed');
+            }
+            window.location.href = result.url;
+        } catch (error) {
+            alert('Could not start the download: ' + error.message);
+        }
+    });
+
     // Load saved theme
     const savedTheme = localStorage.getItem('theme') || 'catppuccin';
     themeSelect.value = savedTheme;
@@ -940,6 +1362,13 @@ document.addEventListener('DOMContentLoaded', () => {
         localStorage.setItem('stripExif', stripExifCheckbox.checked);
     });
 
+    // Load saved end-to-end encryption option
+    e2eEncryptCheckbox.checked = localStorage.getItem('e2eEncrypt') === 'true';
+
+    e2eEncryptCheckbox.addEventListener('change', () => {
+        localStorage.setItem('e2eEncrypt', e2eEncryptCheckbox.checked);
+    });
+
     // Initial fetch of disk space
     fetchDiskSpace();
 });
@@ -1086,15 +1515,27 @@ function getFileIcon(filename) {
     return '📁'; // Default file icon
 }
 
-function createOptimizedMediaElement(url, filename, mimeType) {
+// `thumbnailUrl` is the server-made preview (see /api/file/:shortId/thumbnail), if the file has one,
+// and `hlsUrl` the master playlist of a transcoded video, preferred over the original when given
+function createOptimizedMediaElement(url, filename, mimeType, thumbnailUrl = null, hlsUrl = null) {
     const container = document.createElement('div');
     container.className = 'media-preview';
     
     if (mimeType.startsWith('video/')) {
         const video = document.createElement('video');
-        video.src = url;
+        if (hlsUrl) {
+            attachHlsSource(video, hlsUrl, url);
+        } else {
+            video.src = url;
+        }
         video.controls = true;
-        video.preload = 'metadata'; // Only load metadata initially
+        if (thumbnailUrl) {
+            // The poster frame stands in for the video until it is played
+            video.poster = thumbnailUrl;
+            video.preload = 'none';
+        } else {
+            video.preload = 'metadata'; // Only load metadata initially
+        }
         video.style.maxWidth = '100%';
         video.style.maxHeight = '400px';
         
@@ -1120,7 +1561,8 @@ function createOptimizedMediaElement(url, filename, mimeType) {
         container.appendChild(audio);
     } else if (mimeType.startsWith('image/')) {
         const img = document.createElement('img');
-        img.src = url;
+        let showingThumbnail = !!thumbnailUrl;
+        img.src = thumbnailUrl || url;
         img.alt = filename;
         img.style.maxWidth = '100%';
         img.style.maxHeight = '400px';
@@ -1128,6 +1570,12 @@ function createOptimizedMediaElement(url, filename, mimeType) {
         img.loading = 'lazy'; // Lazy loading for images
         
         img.addEventListener('error', (e) => {
+            // Thumbnails can be missing (no ffmpeg on the server), the original still works
+            if (showingThumbnail) {
+                showingThumbnail = false;
+                img.src = url;
+                return;
+            }
             console.log('Image loading error:', e);
             container.innerHTML = `<p>❌ Unable to preview image: ${filename}</p>`;
         });
@@ -1140,6 +1588,75 @@ function createOptimizedMediaElement(url, filename, mimeType) {
     return container;
 }
 
+// Play an HLS stream: natively where the browser supports it (Safari, iOS), with hls.js elsewhere,
+// and from the original file if neither works. hls.js is pinned and checked with Subresource Integrity,
+// so a changed file on the CDN is not run.
+const HLS_SCRIPT_URL = 'https://unpkg.com/hls.js@1.7.3/dist/hls.min.js';
+const HLS_SCRIPT_INTEGRITY = 'sha384-cciJ0zi8d1uMKC2zJd7jvPY4HQt7W4ByUI/FlMkltvBi31aW61rcpVBhpmW8/NwX';
+let hlsScriptPromise = null;
+
+function loadHlsScript() {
+    if (!hlsScriptPromise) {
+        hlsScriptPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = HLS_SCRIPT_URL;
+            script.integrity = HLS_SCRIPT_INTEGRITY;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve(window.Hls);
+            script.onerror = () => {
+                hlsScriptPromise = null;
+                reject(new Error('Could not load hls.js'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return hlsScriptPromise;
+}
+
+function attachHlsSource(video, hlsUrl, fallbackUrl) {
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        video.src = hlsUrl;
+        return;
+    }
+    loadHlsScript()
+        .then((Hls) => {
+            if (!Hls || !Hls.isSupported()) {
+                video.src = fallbackUrl;
+                return;
+            }
+            // Like preload="none": segments are only fetched once the video is played
+            const hls = new Hls({ autoStartLoad: false });
+            video.addEventListener('play', () => hls.startLoad(), { once: true });
+            hls.on(Hls.Events.ERROR, (event, data) => {
+                if (data.fatal) {
+                    console.log('HLS playback error, using the original file:', data.details);
+                    hls.destroy();
+                    video.src = fallbackUrl;
+                }
+            });
+            hls.loadSource(hlsUrl);
+            hls.attachMedia(video);
+        })
+        .catch((error) => {
+            console.log(error.message);
+            video.src = fallbackUrl;
+        });
+}
+
+// Signed, expiring link (a path) to one of our files; valid for `expiresIn` seconds, 1 hour by default
+async function createSignedUrl(shortId, expiresIn) {
+    const response = await fetch(`/api/file/${shortId}/signed-url`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Key': localStorage.getItem('sessionKey') || '' },
+        body: JSON.stringify(expiresIn ? { expiresIn } : {})
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Request failed');
+    }
+    return result.url;
+}
+
 // Enhanced file info fetching with caching
 const fileInfoCache = new Map();
 
@@ -1150,14 +1667,23 @@ async function getFileInfo(shortId) {
     }
     
     try {
-        const response = await fetch(`/api/file/${shortId}/info`);
+        // The session key shows the server that we uploaded the file, which adds its download statistics
+        const sessionKey = localStorage.getItem('sessionKey');
+        const response = await fetch(`/api/file/${shortId}/info`, { headers: sessionKey ? { 'X-Session-Key': sessionKey } : {} });
         if (response.ok) {
             const info = await response.json();
-            // Cache the info for 5 minutes
-            setTimeout(() => fileInfoCache.delete(shortId), 5 * 60 * 1000);
-            fileInfoCache.set(shortId, info);
+            // Cache the info for 5 minutes, unless the scan or transcoding result is still to come
+            const transcoding = info.transcoding && (info.transcoding.status === 'queued' || info.transcoding.status === 'processing');
+            if (info.scanStatus !== 'pending' && !transcoding) {
+                setTimeout(() => fileInfoCache.delete(shortId), 5 * 60 * 1000);
+                fileInfoCache.set(shortId, info);
+            }
             return info;
         }
+        if (response.status === 401) {
+            // Password protected and not unlocked in this browser
+            return { passwordProtected: true };
+        }
     } catch (error) {
         console.log('Error fetching file info:', error);
     }
@@ -1165,6 +1691,336 @@ async function getFileInfo(shortId) {
     return null;
 }
 
+// Resumable chunked uploads (server side: /upload/chunked)
+const PENDING_UPLOADS_KEY = 'pendingUploads';
+const PENDING_UPLOAD_MAX_AGE = 24 * 60 * 60 * 1000; // matches the server-side cleanup
+const MAX_UPLOAD_RETRIES = 10;
+
+// Identify a file across page reloads so an interrupted upload can be picked up again
+function getFileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function getPendingUploads() {
+    const pending = JSON.parse(localStorage.getItem(PENDING_UPLOADS_KEY) || '{}');
+    const now = Date.now();
+    for (const [fingerprint, item] of Object.entries(pending)) {
+        if (now - new Date(item.startedAt).getTime() > PENDING_UPLOAD_MAX_AGE) {
+            delete pending[fingerprint];
+        }
+    }
+    return pending;
+}
+
+function savePendingUpload(fingerprint, item) {
+    const pending = getPendingUploads();
+    pending[fingerprint] = item;
+    localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pending));
+}
+
+function removePendingUpload(fingerprint) {
+    const pending = getPendingUploads();
+    delete pending[fingerprint];
+    localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pending));
+}
+
+// Error for an upload request; `status` is 0 for network failures
+function createRequestError(status, message, data = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.offset = data.offset;
+    return error;
+}
+
+async function requestUploadJson(url, options = {}) {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        throw createRequestError(0, 'Network error occurred');
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw createRequestError(response.status, data.error || 'Upload failed', data);
+    }
+    return data;
+}
+
+// PUT a single chunk, reporting progress through onProgress(bytesSentInChunk)
+function sendUploadChunk(uploadId, chunk, offset, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('PUT', `/upload/chunked/${uploadId}`, true);
+        xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+        xhr.setRequestHeader('Upload-Offset', String(offset));
+
+        xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable) {
+                onProgress(e.loaded);
+            }
+        };
+        xhr.onload = () => {
+            let data = {};
+            try {
+                data = JSON.parse(xhr.responseText);
+            } catch (e) {
+                // If response isn't valid JSON
+            }
+            if (xhr.status === 200) {
+                resolve(data);
+            } else {
+                reject(createRequestError(xhr.status, data.error || 'Upload failed', data));
+            }
+        };
+        xhr.onerror = () => reject(createRequestError(0, 'Network error occurred'));
+        xhr.onabort = () => reject(createRequestError(0, 'Upload cancelled'));
+
+        if (signal) {
+            if (signal.aborted) return reject(createRequestError(0, 'Upload cancelled'));
+            signal.addEventListener('abort', () => xhr.abort(), { once: true });
+        }
+        xhr.send(chunk);
+    });
+}
+
+// Wait before retrying: exponential backoff, and never before the browser is back online
+function waitForRetry(attempt, signal) {
+    const delay = Math.min(30000, 1000 * Math.pow(2, attempt - 1));
+    return new Promise(resolve => {
+        const wait = () => setTimeout(resolve, delay);
+        if (signal) {
+            signal.addEventListener('abort', resolve, { once: true });
+        }
+        if (navigator.onLine === false) {
+            window.addEventListener('online', wait, { once: true });
+        } else {
+            wait();
+        }
+    });
+}
+
+// Network failures and server errors are worth retrying; other 4xx responses are final
+// A 409 without an offset means another request for the upload is still being written
+// (e.g. a chunk sent before a dropped connection), so it's worth waiting for
+function isRetryableUploadError(error) {
+    return error.status === 0 || error.status === 409 || error.status >= 500;
+}
+
+// Upload a file through the chunked protocol, resuming a previous attempt for the
+// same file if the server still has it. Resolves with the /upload style response.
+// Encrypted uploads pass the `fingerprint` and `fileName` of the plaintext and the `encryption` to resume with.
+async function uploadFileResumable(file, { customFilename = '', isPublic = false, password = '', stripMetadata = false, e2eEncrypted = false, lifetime = {}, protection = {}, snippet = null, sessionKey, onProgress = () => {}, onRetry = () => {}, onResume = () => {}, signal, fingerprint = getFileFingerprint(file), fileName = file.name, encryption = null } = {}) {
+    const previous = getPendingUploads()[fingerprint];
+    let uploadId = null;
+    let chunkSize = 5 * 1024 * 1024;
+    let offset = 0;
+
+    if (previous) {
+        try {
+            const status = await requestUploadJson(`/upload/chunked/${previous.uploadId}`);
+            uploadId = previous.uploadId;
+            chunkSize = previous.chunkSize || chunkSize;
+            offset = status.offset;
+            console.log(`Resuming upload of ${fileName} at ${offset} bytes`);
+        } catch (error) {
+            console.log('Previous upload could not be resumed, starting over:', error.message);
+            removePendingUpload(fingerprint);
+        }
+    }
+
+    if (!uploadId) {
+        const created = await requestUploadJson('/upload/chunked', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                fileName: file.name, size: file.size, customFilename, isPublic, sessionKey, password, stripMetadata, e2eEncrypted, ...lifetime, ...protection,
+                ...(snippet ? { snippet: true, language: snippet.language } : {})
+            })
+        });
+        uploadId = created.uploadId;
+        chunkSize = created.chunkSize || chunkSize;
+        savePendingUpload(fingerprint, { uploadId, chunkSize, fileName, ...(encryption ? { encryption } : {}), startedAt: new Date().toISOString() });
+    }
+
+    onProgress(offset, file.size);
+
+    let attempt = 0;
+    let finished = false;
+    let result = null;
+    while (!finished) {
+        try {
+            if (signal && signal.aborted) {
+                throw createRequestError(0, 'Upload cancelled');
+            }
+            if (offset < file.size) {
+                const chunk = file.slice(offset, offset + chunkSize);
+                const chunkStart = offset;
+                const response = await sendUploadChunk(uploadId, chunk, offset, (sent) => onProgress(chunkStart + sent, file.size), signal);
+                offset = response.offset;
+            } else {
+                result = await requestUploadJson(`/upload/chunked/${uploadId}/complete`, { method: 'POST' });
+                finished = true;
+            }
+            if (attempt > 0) {
+                onResume();
+                attempt = 0;
+            }
+        } catch (error) {
+            if (signal && signal.aborted) {
+                // Cancelled by the user: drop the partial upload on the server too
+                removePendingUpload(fingerprint);
+                fetch(`/upload/chunked/${uploadId}`, { method: 'DELETE' }).catch(() => {});
+                throw error;
+            }
+            if (error.status === 409 && typeof error.offset === 'number') {
+                // Server has a different offset (e.g. a chunk was cut off) - continue from there
+                offset = error.offset;
+                continue;
+            }
+            if (!isRetryableUploadError(error)) {
+                removePendingUpload(fingerprint);
+                throw error;
+            }
+            attempt++;
+            if (attempt > MAX_UPLOAD_RETRIES) {
+                throw createRequestError(error.status, 'Upload interrupted - select the same file again to resume');
+            }
+            onRetry(attempt);
+            await waitForRetry(attempt, signal);
+            if (signal && signal.aborted) {
+                continue; // handled at the top of the loop
+            }
+            try {
+                const status = await requestUploadJson(`/upload/chunked/${uploadId}`);
+                offset = status.offset;
+            } catch (statusError) {
+                if (statusError.status === 404) {
+                    removePendingUpload(fingerprint);
+                    throw createRequestError(404, 'Upload expired on the server, please try again');
+                }
+                // Still offline, the next attempt will find out
+            }
+        }
+    }
+
+    removePendingUpload(fingerprint);
+    return result;
+}
+
+// Short note for the upload queue about metadata stripping, '' when it wasn't requested or doesn't apply
+function describeMetadataResult(metadata) {
+    if (!metadata || !metadata.format) {
+        return '';
+    }
+    return metadata.stripped ? 'metadata removed' : `metadata NOT removed: ${metadata.reason}`;
+}
+
+// End-to-end encryption (read by public/decrypt.js, which documents the format): the file and its
+// name and type are sealed with a random AES-GCM key in 1MB chunks. Resolves with the encrypted
+// file to upload, the key (base64url encoded for the link fragment) and the IV prefix. Passing
+// back { key, ivPrefix } of an earlier call gives the same ciphertext, for resuming its upload.
+const E2E_MAGIC = 'OFE2E1\0\0';
+const E2E_CHUNK_SIZE = 1024 * 1024;
+
+async function encryptFileForUpload(file, previous = null) {
+    const key = previous
+        ? await crypto.subtle.importKey('raw', base64UrlToBytes(previous.key), 'AES-GCM', true, ['encrypt'])
+        : await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+    const ivPrefix = previous ? base64UrlToBytes(previous.ivPrefix) : crypto.getRandomValues(new Uint8Array(8));
+
+    const metadata = new TextEncoder().encode(JSON.stringify({ name: file.name, type: file.type }));
+    const metadataLength = new Uint8Array(4);
+    new DataView(metadataLength.buffer).setUint32(0, metadata.length);
+    const plain = new Blob([metadataLength, metadata, file]);
+
+    const header = new Uint8Array(16);
+    header.set(new TextEncoder().encode(E2E_MAGIC));
+    header.set(ivPrefix, 8);
+    const parts = [header];
+
+    const chunkCount = Math.ceil(plain.size / E2E_CHUNK_SIZE);
+    for (let index = 0; index < chunkCount; index++) {
+        const iv = new Uint8Array(12);
+        iv.set(ivPrefix);
+        new DataView(iv.buffer).setUint32(8, index);
+        const additionalData = new Uint8Array(5);
+        new DataView(additionalData.buffer).setUint32(0, index);
+        additionalData[4] = index === chunkCount - 1 ? 1 : 0;
+
+        const chunk = await plain.slice(index * E2E_CHUNK_SIZE, (index + 1) * E2E_CHUNK_SIZE).arrayBuffer();
+        parts.push(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, chunk));
+    }
+
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    return {
+        // The server only sees a placeholder name; the real one is inside the ciphertext
+        file: new File(parts, 'encrypted.bin', { type: 'application/octet-stream' }),
+        key: bytesToBase64Url(rawKey),
+        ivPrefix: bytesToBase64Url(ivPrefix)
+    };
+}
+
+function bytesToBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Adaptive streaming (HLS) once the server has transcoded a video, otherwise plain range streaming
+function formatStreamingStatus(info) {
+    const status = info.transcoding && info.transcoding.status;
+    if (status === 'ready') return ` • Adaptive streaming ⚡ (${info.transcoding.renditions.join(', ')})`;
+    if (status === 'queued' || status === 'processing') return ' • ⚙️ Preparing adaptive streaming';
+    return isStreamable(info) ? ' • Streaming ⚡' : '';
+}
+
+// Every file can be read in ranges; for audio and video that means playback can seek right away
+function isStreamable(info) {
+    return info.supportsRangeRequests && /^(video|audio)\//.test(info.mimeType || '');
+}
+
+// Downloads of an own file, e.g. ' • ⬇️ 3 downloads (12.4 MB served)'
+function formatDownloadStats(info) {
+    const stats = info.downloadStats;
+    if (!stats || !stats.downloads) return '';
+    return ` • ⬇️ ${stats.downloads} download${stats.downloads === 1 ? '' : 's'} (${formatFileSize(stats.bytes)} served)`;
+}
+
+// Malware scan state for the history card, empty once the file is clean
+function formatScanStatus(info) {
+    if (info.scanStatus === 'pending') return ' • 🔍 Scanning for malware';
+    if (info.scanStatus === 'infected') return ' • ⛔ Quarantined';
+    if (info.scanStatus === 'scan-failed') return ' • ⚠️ Malware scan failed';
+    return '';
+}
+
+// Describe when a file expires / how many downloads it has left, or '' if it lives forever
+function formatFileLifetime(info) {
+    const parts = [];
+    if (info.expiresAt) {
+        const remaining = new Date(info.expiresAt).getTime() - Date.now();
+        const hours = Math.floor(remaining / (60 * 60 * 1000));
+        if (hours >= 48) {
+            parts.push(`Expires in ${Math.floor(hours / 24)} days`);
+        } else if (hours >= 1) {
+            parts.push(`Expires in ${hours}h`);
+        } else {
+            parts.push(`Expires in ${Math.max(1, Math.ceil(remaining / 60000))}m`);
+        }
+    }
+    if (info.burnAfterRead) {
+        parts.push('Deleted after first download');
+    } else if (info.maxDownloads) {
+        const left = info.maxDownloads - (info.downloadCount || 0);
+        parts.push(`${left} of ${info.maxDownloads} downloads left`);
+    }
+    return parts.join(' • ');
+}
+
 // Format file size for display
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 B';
@@ -1189,7 +2045,7 @@ async function copyToClipboard(text, shortId = null) {
             if (fileInfo) {
                 message += `\n${getFileIcon(fileInfo.originalName)} ${fileInfo.originalName} (${formatFileSize(fileInfo.size)})`;
                 
-                if (fileInfo.supportsRangeRequests) {
+                if (isStreamable(fileInfo)) {
                     message += ' - Streaming enabled ⚡';
                 }
             }
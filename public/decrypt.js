@@ -0,0 +1,184 @@
+// Download page of end-to-end encrypted files (GET /e/:shortId). The key is the URL fragment,
+// which the browser never sends to the server. File format, written by encryptFileForUpload in app.js:
+//   "OFE2E1\0\0" | 8 byte IV prefix | AES-GCM sealed chunks of 1MB plaintext + 16 byte tag
+// Chunk i uses the IV prefix + i and authenticates i and whether it is the last chunk.
+// The plaintext is a 4 byte metadata length, the metadata JSON ({ name, type }) and the file.
+const E2E_MAGIC = 'OFE2E1\0\0';
+const E2E_HEADER_SIZE = 16;
+const E2E_CHUNK_SIZE = 1024 * 1024;
+const E2E_TAG_SIZE = 16;
+const MISSING_KEY_MESSAGE = 'This link is missing its decryption key. Ask the uploader for the full link, including the part after #.';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const page = document.getElementById('decrypt-page');
+    const decryptButton = document.getElementById('decrypt-button');
+    const decryptStatus = document.getElementById('decrypt-status');
+    const preview = document.getElementById('decrypt-preview');
+    const passwordForm = document.getElementById('decrypt-password-form');
+    const passwordInput = document.getElementById('decrypt-password');
+    const { shortId, fileUrl } = page.dataset;
+
+    function base64UrlToBytes(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    async function importKey() {
+        try {
+            const raw = base64UrlToBytes(window.location.hash.slice(1));
+            if (raw.length !== 32) return null;
+            return await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['decrypt']);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function getChunkParams(ivPrefix, index, isLast) {
+        const iv = new Uint8Array(12);
+        iv.set(ivPrefix);
+        new DataView(iv.buffer).setUint32(8, index);
+        const additionalData = new Uint8Array(5);
+        new DataView(additionalData.buffer).setUint32(0, index);
+        additionalData[4] = isLast ? 1 : 0;
+        return { name: 'AES-GCM', iv, additionalData };
+    }
+
+    // Download the ciphertext; password, scan and download limit errors come from the file route
+    async function fetchCiphertext() {
+        const response = await fetch(fileUrl, { credentials: 'same-origin' });
+        if (response.status === 401) {
+            const error = new Error('This file is password protected. Enter the password first.');
+            error.passwordRequired = true;
+            throw error;
+        }
+        if (response.status === 503) throw new Error('The file is still being scanned. Try again in a moment.');
+        if (response.status === 410) throw new Error('This file is no longer available.');
+        if (!response.ok) throw new Error(`The file could not be downloaded (${response.status})`);
+
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        const reader = response.body.getReader();
+        const parts = [];
+        let received = 0;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            received += value.length;
+            decryptStatus.textContent = total
+                ? `Downloading... ${Math.round((received / total) * 100)}%`
+                : `Downloading... ${formatSize(received)}`;
+        }
+        return new Blob(parts);
+    }
+
+    async function decryptFile(encrypted, key) {
+        const header = new Uint8Array(await encrypted.slice(0, E2E_HEADER_SIZE).arrayBuffer());
+        if (new TextDecoder().decode(header.subarray(0, 8)) !== E2E_MAGIC) {
+            throw new Error('This is not an encrypted OhioFiles file.');
+        }
+        const ivPrefix = header.subarray(8, 16);
+        const sealedChunkSize = E2E_CHUNK_SIZE + E2E_TAG_SIZE;
+
+        const parts = [];
+        for (let offset = E2E_HEADER_SIZE, index = 0; offset < encrypted.size; offset += sealedChunkSize, index++) {
+            const isLast = offset + sealedChunkSize >= encrypted.size;
+            const sealed = await encrypted.slice(offset, offset + sealedChunkSize).arrayBuffer();
+            try {
+                parts.push(await crypto.subtle.decrypt(getChunkParams(ivPrefix, index, isLast), key, sealed));
+            } catch (error) {
+                throw new Error('Decryption failed: the key in the link is wrong or the file was modified.');
+            }
+            decryptStatus.textContent = `Decrypting... ${Math.round(((offset + sealed.byteLength) / encrypted.size) * 100)}%`;
+        }
+
+        const plain = new Blob(parts);
+        if (plain.size < 4) {
+            throw new Error('Decryption failed: the file is incomplete.');
+        }
+        const metadataLength = new DataView(await plain.slice(0, 4).arrayBuffer()).getUint32(0);
+        const metadata = JSON.parse(await plain.slice(4, 4 + metadataLength).text());
+        const type = metadata.type || 'application/octet-stream';
+        return { name: metadata.name || 'download', type, blob: plain.slice(4 + metadataLength, plain.size, type) };
+    }
+
+    function showResult({ name, type, blob }) {
+        const url = URL.createObjectURL(blob);
+        preview.innerHTML = '';
+
+        let media = null;
+        if (type.startsWith('image/')) {
+            media = document.createElement('img');
+            media.alt = name;
+        } else if (type.startsWith('video/') || type.startsWith('audio/')) {
+            media = document.createElement(type.startsWith('video/') ? 'video' : 'audio');
+            media.controls = true;
+        }
+        if (media) {
+            media.src = url;
+            preview.appendChild(media);
+        }
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.className = 'button';
+        link.textContent = `Save ${name}`;
+        preview.appendChild(link);
+        link.click();
+    }
+
+    async function decryptAndDownload() {
+        const key = await importKey();
+        if (!key) {
+            decryptStatus.textContent = MISSING_KEY_MESSAGE;
+            return;
+        }
+
+        decryptButton.disabled = true;
+        try {
+            decryptStatus.textContent = 'Downloading...';
+            const result = await decryptFile(await fetchCiphertext(), key);
+            decryptStatus.textContent = `Decrypted ${result.name} (${formatSize(result.blob.size)})`;
+            document.title = `${result.name} - OhioFiles`;
+            decryptButton.classList.add('hidden');
+            showResult(result);
+        } catch (error) {
+            if (error.passwordRequired) {
+                passwordForm.classList.remove('hidden');
+            }
+            decryptStatus.textContent = error.message;
+            decryptButton.disabled = false;
+        }
+    }
+
+    passwordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const response = await fetch(`/api/file/${encodeURIComponent(shortId)}/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: passwordInput.value })
+        });
+        if (response.ok) {
+            passwordForm.classList.add('hidden');
+            decryptAndDownload();
+        } else {
+            const data = await response.json().catch(() => ({}));
+            decryptStatus.textContent = data.error || 'Wrong password';
+        }
+    });
+
+    decryptButton.addEventListener('click', decryptAndDownload);
+
+    if (!window.location.hash) {
+        decryptStatus.textContent = MISSING_KEY_MESSAGE;
+        decryptButton.disabled = true;
+    }
+});
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
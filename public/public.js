@@ -43,11 +43,26 @@ document.addEventListener('DOMContentLoaded', async () => {
         previewContainer.style.marginRight = '20px';
         const imageExts = ['png', 'jpg', 'jpeg', 'gif', 'bmp', 'webp'];
         const videoExts = ['mp4', 'webm', 'ogg', 'mov', 'mkv'];
-        const fullFileUrl = `/${file.storedName}`;
-        if (imageExts.includes(fileExt)) {
+        // End-to-end encrypted files can only be opened through their decrypt page, with the key from the uploader,
+        // and snippets open in their viewer
+        const fullFileUrl = file.e2eEncrypted ? `/e/${file.shortId}` : file.snippetUrl || `/${file.storedName}`;
+        if (file.e2eEncrypted) {
+            const lockIcon = document.createElement('div');
+            lockIcon.textContent = '🔐';
+            lockIcon.title = 'End-to-end encrypted';
+            lockIcon.style.fontSize = '3em';
+            previewContainer.appendChild(lockIcon);
+        } else if (imageExts.includes(fileExt)) {
             const img = document.createElement('img');
-            img.src = fullFileUrl;
+            img.src = file.thumbnailUrl || fullFileUrl;
             img.alt = file.originalName;
+            img.loading = 'lazy';
+            if (file.thumbnailUrl) {
+                // Fall back to the original when the server has no thumbnail
+                img.addEventListener('error', () => {
+                    img.src = fullFileUrl;
+                }, { once: true });
+            }
             img.style.maxWidth = '220px';
             img.style.maxHeight = '220px';
             img.style.borderRadius = '8px';
@@ -57,6 +72,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             const video = document.createElement('video');
             video.src = fullFileUrl;
             video.controls = true;
+            if (file.thumbnailUrl) {
+                // Show the poster frame instead of loading the video up front
+                video.poster = file.thumbnailUrl;
+                video.preload = 'none';
+            } else {
+                video.preload = 'metadata';
+            }
             video.style.maxWidth = '220px';
             video.style.maxHeight = '220px';
             video.style.borderRadius = '8px';
@@ -114,6 +136,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         actions.appendChild(openButton);
 
         infoContainer.appendChild(link);
+        if (file.e2eEncrypted) {
+            const encryptedNote = document.createElement('div');
+            encryptedNote.style.fontSize = '0.9em';
+            encryptedNote.style.opacity = '0.8';
+            encryptedNote.textContent = '🔐 End-to-end encrypted - you need the full link with the key from the uploader';
+            infoContainer.appendChild(encryptedNote);
+        }
         infoContainer.appendChild(linkDisplay);
         infoContainer.appendChild(actions);
 
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const { MONGODB_URL, File, Blob } = require('./lib/models');
+const { createStorage, storageConfigFromEnv, getStorageKey, getThumbnailKey, getHlsKey } = require('./lib/storage');
+
+// Re-encrypt every stored object with the current ENCRYPTION_KEY, reading old ones with
+// ENCRYPTION_OLD_KEYS. Files stored before encryption was enabled are encrypted too.
+// Run with: npm run rotate-encryption-key
+async function rotateEncryptionKey() {
+    const fileStorage = createStorage(storageConfigFromEnv(process.env, { localRoot: path.join(__dirname, 'uploads') }));
+    if (!fileStorage.encrypted) {
+        throw new Error('ENCRYPTION_KEY is not set');
+    }
+    await mongoose.connect(MONGODB_URL, { serverSelectionTimeoutMS: 5000 });
+
+    const blobs = await Blob.find();
+    const legacyFiles = await File.find({ blobHash: null });
+    const thumbnailKeys = blobs.filter(blob => blob.thumbnail === 'ready').map(blob => getThumbnailKey(blob.hash));
+    const hlsKeys = blobs.flatMap(blob => (blob.hlsFiles || []).map(name => getHlsKey(blob.hash, name)));
+    const keys = [...blobs.map(blob => blob.key), ...thumbnailKeys, ...hlsKeys, ...legacyFiles.map(getStorageKey)];
+
+    let rotated = 0;
+    let failed = 0;
+    for (const key of keys) {
+        try {
+            if (await fileStorage.reencrypt(key)) rotated++;
+        } catch (err) {
+            failed++;
+            console.error(`Could not re-encrypt ${key}:`, err.message);
+        }
+    }
+    console.log(`Re-encrypted ${rotated} of ${keys.length} stored files${failed ? `, ${failed} failed` : ''}`);
+    if (failed) {
+        throw new Error('Some files could not be re-encrypted, keep ENCRYPTION_OLD_KEYS until they are fixed');
+    }
+}
+
+rotateEncryptionKey()
+    .then(() => process.exit(0))
+    .catch((err) => {
+        console.error('Key rotation failed:', err.message);
+        process.exit(1);
+    });
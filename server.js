@@ -11,11 +11,42 @@ const etag = require('etag');
 const fresh = require('fresh');
 const rangeParser = require('range-parser');
 const compression = require('compression');
+const { pipeline } = require('stream/promises');
+const { Transform, Readable } = require('stream');
+const { MONGODB_URL, File, Blob } = require('./lib/models');
+const { createStorage, storageConfigFromEnv, getStorageKey, getThumbnailKey, getHlsKey } = require('./lib/storage');
+const { createScanner, getScanOutcome, scannerConfigFromEnv } = require('./lib/scanner');
+const {
+    escapeHtml, formatSize, renderMessagePage, renderUnlockPage, renderDecryptPage, renderArchivePage, renderSnippetPage, renderFilePage,
+    renderLinkPreviewPage, renderEmbedPage
+} = require('./lib/pages');
+const {
+    hashPassword, verifyPassword, createAccessToken, verifyAccessToken,
+    createUrlSignature, verifyUrlSignature, parseHostList, isRefererAllowed, parseCookies
+} = require('./lib/access');
+const { stripMetadata } = require('./lib/metadata');
+const { createImporter } = require('./lib/url-import');
+const { detectFileContentType, resolveContentType, matchesTypePattern } = require('./lib/filetype');
+const { THUMBNAIL_CONTENT_TYPE, getThumbnailKind, getThumbnailDimensions, generateThumbnail } = require('./lib/thumbnails');
+const { probeVideo, transcodeToHls, getHlsContentType } = require('./lib/transcode');
+const { getArchiveFormat, listArchive, extractArchiveEntry } = require('./lib/archive');
+const { createZipStream } = require('./lib/zip');
+const { isLinkPreviewCrawler, fitDimensions, getLinkPreviewTags } = require('./lib/link-preview');
+const { MAX_SNIPPET_SIZE, SNIPPET_LANGUAGES, parseSnippetLanguage, getSnippetLanguageLabel, isSnippetText } = require('./lib/snippets');
+const { DOWNLOAD_COUNTERS, getBucketStart, createDownloadCounter, sumDownloadStats } = require('./lib/download-stats');
+const { createDownloadLimiter } = require('./lib/download-limits');
 
 
 const port = process.env.PORT || 3001;
 const app = express();
 
+// X-Forwarded-* headers are only believed from the proxies in TRUST_PROXY ("true", a hop count,
+// or addresses/subnets like "loopback"); req.ip, req.protocol and getPublicOrigin follow it
+if (process.env.TRUST_PROXY) {
+    const value = process.env.TRUST_PROXY.trim();
+    app.set('trust proxy', value === 'true' ? true : /^\d+$/.test(value) ? Number(value) : value);
+}
+
 // Enable compression for all responses (except streaming files)
 app.use(compression({
     filter: (req, res) => {
@@ -28,6 +59,11 @@ app.use(compression({
         if (req.headers.range) {
             return false;
         }
+
+        // Files are sent byte for byte, so their ranges, ETag and HEAD responses stay valid
+        if (res.getHeader('Accept-Ranges')) {
+            return false;
+        }
         
         // Don't compress large media files
         const contentType = res.getHeader('Content-Type');
@@ -55,6 +91,19 @@ let maxFileSize = 100;               // MB
 let publicUploadsAllowed = true;     // allow public uploads
 let requireCaptcha = false;          // require captcha
 let logUploads = true;               // log all uploads
+let sessionQuotaMB = 1024;           // total MB per session key (0 = unlimited)
+let sessionQuotaFiles = 500;         // files per session key (0 = unlimited)
+let ipQuotaMB = 2048;                // total MB per IP (0 = unlimited)
+let ipQuotaFiles = 1000;             // files per IP (0 = unlimited)
+let allowedFileTypes = [];           // content types accepted on upload, e.g. 'image/*' (empty = all)
+let blockedFileTypes = [];           // content types rejected on upload, checked before allowedFileTypes
+let hlsTranscoding = false;          // transcode videos to adaptive HLS streams (needs ffmpeg)
+let downloadBandwidthKB = 0;         // KB/s per IP, shared by all of its downloads (0 = unlimited)
+let maxParallelDownloads = 10;       // file streams open at once per IP (0 = unlimited)
+let downloadLimitExemptIps = [];     // IPs without download limits
+let downloadLimitExemptSessions = []; // session keys whose files (or clients sending them) have no download limits
+let requireSignedUrls = false;       // serve private (non-public) files only through signed URLs
+let hotlinkAllowedReferers = [];     // sites that may embed files (empty = any); a file's own list replaces it
 
 // Serve admin frontend from the 'admin' subfolder with caching
 app.use('/admin', express.static(path.join(__dirname, 'admin'), { 
@@ -68,7 +117,7 @@ app.get(['/admin','/admin/*'], (req, res) => {
 });
 
 // Connect to MongoDB with better error handling
-mongoose.connect('mongodb://127.0.0.1/ohiofiles', { 
+mongoose.connect(MONGODB_URL, { 
     useNewUrlParser: true, 
     useUnifiedTopology: true,
     serverSelectionTimeoutMS: 5000 // Timeout after 5s instead of 30s
@@ -77,19 +126,6 @@ mongoose.connect('mongodb://127.0.0.1/ohiofiles', {
     console.warn('The server will run without database functionality');
 });
 
-// Update File model to track IP and size
-const File = mongoose.model('File', {
-    originalName: String,
-    storedName: String,
-    path: String,
-    shortId: String,
-    size: Number,
-    ip: String,
-    isPublic: { type: Boolean, default: false },
-    uploadDate: { type: Date, default: Date.now },
-    sessionKey: String
-});
-
 // Update Ban model to include reason and creation date
 const BannedIP = mongoose.model('BannedIP', {
     ip: String,
@@ -108,6 +144,38 @@ const Notification = mongoose.model('Notification', {
     updatedAt: { type: Date, default: Date.now }
 });
 
+// Admin overrides of the session quota settings; null fields fall back to the global setting
+const SessionQuota = mongoose.model('SessionQuota', {
+    sessionKey: { type: String, index: true },
+    maxMB: Number,
+    maxFiles: Number,
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// In-progress resumable uploads (see /upload/chunked)
+const PendingUpload = mongoose.model('PendingUpload', {
+    uploadId: { type: String, index: true },
+    originalName: String,
+    size: Number,
+    tempPath: String,
+    ip: String,
+    fields: mongoose.Schema.Types.Mixed, // form fields passed on to finalizeUpload
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Downloads of a file in one hour, see lib/download-stats.js. Kept after the file is deleted.
+const DownloadStat = mongoose.model('DownloadStat', {
+    shortId: { type: String, index: true },
+    fileName: String,
+    hour: { type: Date, index: true },
+    requests: { type: Number, default: 0 },
+    rangeRequests: { type: Number, default: 0 },
+    downloads: { type: Number, default: 0 },     // visitors (IPs) in this hour
+    fullDownloads: { type: Number, default: 0 }, // of them, those that got the whole file in one response
+    bytes: { type: Number, default: 0 }          // sent to clients, headers included
+});
+
 // Ensure uploads directory is absolute and exists; adjust multer to use absolute dest; add reserved name check
 const uploadDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadDir)) {
@@ -115,11 +183,697 @@ if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir);
 }
 
+// Storage backend for finished uploads (local disk by default, or S3-compatible).
+// Temp files from multer and chunked uploads always live in uploadDir first.
+const fileStorage = createStorage(storageConfigFromEnv(process.env, { localRoot: uploadDir }));
+console.log(`Using ${fileStorage.name} storage driver${fileStorage.encrypted ? ' with encryption at rest' : ''}`);
+
+// Malware scanner for new uploads (disabled unless SCANNER is set, see lib/scanner)
+const scanner = createScanner(scannerConfigFromEnv(process.env));
+if (scanner) {
+    console.log(`Scanning uploads with ${scanner.name}`);
+}
+
+// ETag for a stored file: content-addressed files use their hash, so the tag is
+// strong and identical on every storage backend
+function getFileETag(file, stats) {
+    if (file.blobHash) {
+        return `"${file.blobHash}"`;
+    }
+    return etag(`${stats.size}-${stats.mtime.getTime()}`);
+}
+
+// Last-Modified of a File: content-addressed files never change after their upload
+function getFileLastModified(file, stats) {
+    return file.blobHash && file.uploadDate ? new Date(file.uploadDate) : stats.mtime;
+}
+
+// Compute the SHA-256 of a file on disk
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+// Storing and releasing the same content run one after another. Otherwise an upload could find
+// a blob's content and drop its own copy just before the release of the last reference deletes it.
+const blobOperations = new Map(); // hash -> promise of the last operation on the blob
+
+function withBlobLock(hash, operation) {
+    const previous = blobOperations.get(hash) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    blobOperations.set(hash, current);
+    current.catch(() => {}).then(() => {
+        if (blobOperations.get(hash) === current) {
+            blobOperations.delete(hash);
+        }
+    });
+    return current;
+}
+
+// Move a finished temp file into content-addressed storage and take a reference
+// on its blob. If identical content is already stored, the temp file is dropped.
+async function storeBlob(tempPath, size) {
+    const hash = await hashFile(tempPath);
+    return withBlobLock(hash, async () => {
+        const blob = await Blob.findOneAndUpdate(
+            { hash },
+            { $inc: { refCount: 1 }, $setOnInsert: { key: `blobs/${hash}`, size, createdAt: new Date() } },
+            { upsert: true, new: true }
+        );
+
+        if (await fileStorage.stat(blob.key)) {
+            console.log(`Deduplicated upload against blob ${hash} (${blob.refCount} references)`);
+            await fs.promises.unlink(tempPath);
+        } else {
+            await fileStorage.put(blob.key, tempPath);
+        }
+        return blob;
+    });
+}
+
+// Drop a File's reference on its content; the blob is deleted with its last reference.
+// Files stored before content addressing own their file on disk directly.
+async function releaseFile(file) {
+    if (!file.blobHash) {
+        await fileStorage.delete(getStorageKey(file));
+        return;
+    }
+
+    await withBlobLock(file.blobHash, async () => {
+        const blob = await Blob.findOneAndUpdate({ hash: file.blobHash }, { $inc: { refCount: -1 } }, { new: true });
+        if (!blob || blob.refCount > 0) {
+            return;
+        }
+        // Only the request that actually removes the record deletes the content, so an
+        // upload that took a new reference in the meantime keeps its blob
+        const result = await Blob.deleteOne({ hash: file.blobHash, refCount: { $lte: 0 } });
+        if (result.deletedCount === 1) {
+            await fileStorage.delete(blob.key);
+            await fileStorage.delete(getThumbnailKey(file.blobHash));
+            for (const name of blob.hlsFiles || []) {
+                await fileStorage.delete(getHlsKey(file.blobHash, name));
+            }
+            console.log(`Removed blob ${file.blobHash}`);
+        }
+    });
+}
+
+// Release every File in a list, logging (but not failing on) individual errors
+async function releaseFiles(files) {
+    for (const file of files) {
+        try {
+            await releaseFile(file);
+        } catch (err) {
+            console.error('Error deleting file:', file.path, err);
+        }
+    }
+}
+
+// Why a file can no longer be downloaded ('expired' / 'downloads'), or null if it still can
+function getFileUnavailableReason(file) {
+    if (file.expiresAt && file.expiresAt <= new Date()) {
+        return 'expired';
+    }
+    const limit = getDownloadLimit(file);
+    if (limit && file.downloadCount >= limit) {
+        return 'downloads';
+    }
+    return null;
+}
+
+function getDownloadLimit(file) {
+    return file.burnAfterRead ? 1 : file.maxDownloads;
+}
+
+// Atomically take one download from a limited file; resolves with the updated File,
+// or null when another request used up the last download first
+function claimDownload(file) {
+    return File.findOneAndUpdate(
+        { _id: file._id, downloadCount: { $lt: getDownloadLimit(file) } },
+        { $inc: { downloadCount: 1 } },
+        { new: true }
+    );
+}
+
+// Give back a download that was claimed but not sent completely
+function returnDownload(file) {
+    return File.updateOne({ _id: file._id, downloadCount: { $gt: 0 } }, { $inc: { downloadCount: -1 } });
+}
+
+// Settle a claimed download once its response is over. The last one of a file to finish
+// removes the file when it has no downloads left.
+async function finishDownload(file, completed, last) {
+    if (!completed) {
+        await returnDownload(file);
+    }
+    if (last) {
+        const current = await File.findById(file._id);
+        if (current && getFileUnavailableReason(current)) {
+            await deleteFileRecord(current);
+        }
+    }
+}
+
+// Claimed downloads still being sent, per File id. The sweeper leaves their files alone:
+// a used-up file is only gone once its last download has completed.
+const downloadsInProgress = new Map();
+
+// Claim a download of a limited file for a response. It counts once the response has been sent
+// completely: an interrupted one is given back. Resolves false after sending the unavailable page
+// when no downloads are left.
+async function claimResponseDownload(res, file) {
+    if (!await claimDownload(file)) {
+        sendUnavailablePage(res, file, 'downloads');
+        return false;
+    }
+    const id = String(file._id);
+    downloadsInProgress.set(id, (downloadsInProgress.get(id) || 0) + 1);
+    res.on('close', () => {
+        const remaining = downloadsInProgress.get(id) - 1;
+        if (remaining > 0) {
+            downloadsInProgress.set(id, remaining);
+        } else {
+            downloadsInProgress.delete(id);
+        }
+        finishDownload(file, res.writableFinished, remaining <= 0)
+            .catch(err => console.error('Error finishing download:', err));
+    });
+    return true;
+}
+
+// Remove a File record and release its content. Only the caller that actually removed
+// the record releases, so the sweeper and a finishing download can't release twice.
+async function deleteFileRecord(file) {
+    const result = await File.deleteOne({ _id: file._id });
+    if (result.deletedCount === 1) {
+        await releaseFile(file);
+    }
+}
+
+// Remove files that expired or used up their downloads
+async function sweepExpiredFiles() {
+    try {
+        const candidates = await File.find({
+            $or: [
+                { expiresAt: { $lte: new Date() } },
+                { maxDownloads: { $gt: 0 } },
+                { burnAfterRead: true }
+            ]
+        });
+        const expired = candidates.filter(file => getFileUnavailableReason(file) && !downloadsInProgress.has(String(file._id)));
+        for (const file of expired) {
+            await deleteFileRecord(file);
+        }
+        if (expired.length > 0) {
+            console.log(`Removed ${expired.length} expired files`);
+        }
+    } catch (err) {
+        console.error('Error removing expired files:', err);
+    }
+}
+setInterval(sweepExpiredFiles, 60 * 1000);
+
+// Uploads are scanned one at a time in the background. Until the scan is done the file
+// is 'pending' and not served; infected files stay quarantined until an admin deletes or releases them.
+// Files that can't be scanned are retried a few times and then left 'scan-failed', also for an admin to handle.
+const SCAN_RETRY_INTERVAL = 5 * 60 * 1000;
+const SCAN_BLOCKED_STATUSES = ['pending', 'infected', 'scan-failed'];
+const scanQueue = [];
+let scanRunning = false;
+
+function queueScan(file) {
+    const id = String(file._id);
+    if (!scanQueue.includes(id)) {
+        scanQueue.push(id);
+    }
+    processScanQueue();
+}
+
+async function processScanQueue() {
+    if (scanRunning) return;
+    scanRunning = true;
+    while (scanQueue.length > 0) {
+        await scanFile(scanQueue.shift());
+    }
+    scanRunning = false;
+}
+
+async function scanFile(id) {
+    try {
+        const file = await File.findOne({ _id: id, scanStatus: 'pending' });
+        if (!file) return; // deleted or released in the meantime
+
+        const result = await scanner.scan(await fileStorage.get(getStorageKey(file)));
+        await File.updateOne({ _id: file._id }, { ...getScanOutcome({ result }), scannedAt: new Date() });
+        if (result.infected) {
+            console.warn(`Quarantined ${file.storedName} from ${file.ip}: ${result.signature}`);
+        } else {
+            queueThumbnail(file);
+            queueTranscode(file);
+        }
+    } catch (err) {
+        // Stays pending and is retried by queuePendingScans, unless retrying can't help or has been tried enough
+        console.error(`Scan failed for file ${id}:`, err.message);
+        try {
+            const file = await File.findOneAndUpdate({ _id: id, scanStatus: 'pending' }, { $inc: { scanAttempts: 1 } }, { new: true });
+            if (!file) return;
+            const outcome = getScanOutcome({ error: err, attempts: file.scanAttempts });
+            await File.updateOne({ _id: id, scanStatus: 'pending' }, { ...outcome, scannedAt: new Date() });
+            if (outcome.scanStatus === 'scan-failed') {
+                console.warn(`Gave up scanning ${file.storedName}: ${err.message}`);
+            }
+        } catch (updateError) {
+            console.error(`Error recording failed scan of file ${id}:`, updateError.message);
+        }
+    }
+}
+
+// Queue files whose scan failed or was interrupted by a restart
+async function queuePendingScans() {
+    try {
+        const pending = await File.find({ scanStatus: 'pending' }).select('_id');
+        pending.forEach(queueScan);
+    } catch (err) {
+        console.error('Error queueing pending scans:', err);
+    }
+}
+if (scanner) {
+    setTimeout(queuePendingScans, 10 * 1000);
+    setInterval(queuePendingScans, SCAN_RETRY_INTERVAL);
+}
+
+// Files that must not be served because of their scan: 'pending' / 'infected' / 'scan-failed', or null
+function getScanBlockReason(file) {
+    return SCAN_BLOCKED_STATUSES.includes(file.scanStatus) ? file.scanStatus : null;
+}
+
+function sendScanBlockedPage(res, reason) {
+    res.setHeader('Cache-Control', 'no-store');
+    if (reason === 'pending') {
+        res.setHeader('Retry-After', '10');
+        return res.status(503).send(renderMessagePage({
+            title: 'File is being scanned',
+            message: 'This file was just uploaded and is still being checked for malware. Try again in a moment.'
+        }));
+    }
+    if (reason === 'scan-failed') {
+        return res.status(403).send(renderMessagePage({
+            title: 'File not available',
+            message: 'This file could not be checked for malware and is not available.'
+        }));
+    }
+    return res.status(403).send(renderMessagePage({
+        title: 'File quarantined',
+        message: 'This file was flagged as malware and is not available.'
+    }));
+}
+
+// Thumbnails (see lib/thumbnails.js) are stored next to their blob and shared by every File with
+// the same content. They are made after the upload, once the scan is clean, or on the first
+// request, one ffmpeg run at a time.
+const thumbnailJobs = new Map(); // blob hash -> promise of the thumbnail's storage key, or null
+let thumbnailQueue = Promise.resolve();
+
+// Files stored before content addressing, encrypted and download-limited files get no thumbnail;
+// a preview of a limited file would show it without using up a download
+function canHaveThumbnail(file) {
+    return !!file.blobHash && !file.e2eEncrypted && !getDownloadLimit(file) &&
+        !!getThumbnailKind(getFileContentType(file));
+}
+
+// URL of a file's thumbnail, versioned by content so it can be cached for good
+function getThumbnailUrl(file) {
+    return canHaveThumbnail(file) ? `/api/file/${file.shortId}/thumbnail?v=${file.blobHash.slice(0, 12)}` : null;
+}
+
+// Resolves with the storage key of the file's thumbnail, or null if it can't have one
+function ensureThumbnail(file) {
+    let job = thumbnailJobs.get(file.blobHash);
+    if (!job) {
+        job = thumbnailQueue
+            .then(() => createThumbnail(file))
+            .finally(() => thumbnailJobs.delete(file.blobHash));
+        thumbnailQueue = job.catch(() => {});
+        thumbnailJobs.set(file.blobHash, job);
+    }
+    return job;
+}
+
+function queueThumbnail(file) {
+    if (canHaveThumbnail(file)) {
+        ensureThumbnail(file).catch(err => console.error(`Thumbnail failed for ${file.storedName}:`, err.message));
+    }
+}
+
+async function createThumbnail(file) {
+    const blob = await Blob.findOne({ hash: file.blobHash });
+    if (!blob || blob.thumbnail === 'failed') {
+        return null;
+    }
+    const key = getThumbnailKey(blob.hash);
+    if (blob.thumbnail === 'ready' && await fileStorage.stat(key)) {
+        return key;
+    }
+
+    // ffmpeg needs a local, seekable copy; storage may be remote or encrypted
+    const tempBase = path.join(uploadDir, `thumb-${crypto.randomBytes(6).toString('hex')}`);
+    const sourcePath = `${tempBase}.src`;
+    const thumbnailPath = `${tempBase}.jpg`;
+    try {
+        await pipeline(await fileStorage.get(getStorageKey(file)), fs.createWriteStream(sourcePath));
+        try {
+            await generateThumbnail(sourcePath, thumbnailPath, getThumbnailKind(getFileContentType(file)));
+        } catch (err) {
+            // Without ffmpeg nothing is recorded, so thumbnails appear once it is installed
+            if (!err.toolMissing) {
+                console.warn(`No thumbnail for blob ${blob.hash}:`, err.message);
+                await Blob.updateOne({ hash: blob.hash }, { thumbnail: 'failed' });
+            }
+            return null;
+        }
+        await fileStorage.put(key, thumbnailPath);
+        const dimensions = await probeVideo(sourcePath).catch(() => null);
+        await Blob.updateOne({ hash: blob.hash }, {
+            thumbnail: 'ready',
+            ...(dimensions ? { width: dimensions.width, height: dimensions.height } : {})
+        });
+        return key;
+    } finally {
+        await fs.promises.unlink(sourcePath).catch(() => {});
+        await fs.promises.unlink(thumbnailPath).catch(() => {});
+    }
+}
+
+// HLS transcoding (see lib/transcode.js), enabled with the hlsTranscoding setting. Like thumbnails the
+// streams belong to the blob. Videos are queued after upload (once the scan is clean) or when their
+// info is first requested, and transcoded one at a time since each run keeps a core busy for a while.
+const transcodeQueue = []; // blob hashes
+let transcodeRunning = false;
+
+// Download-limited files are left out: streaming them would skip the download count
+function canTranscode(file) {
+    return !!file.blobHash && !file.e2eEncrypted && !getDownloadLimit(file) &&
+        getFileContentType(file).startsWith('video/');
+}
+
+// Queue a video unless its content was queued or transcoded before
+async function queueTranscode(file) {
+    if (!hlsTranscoding || !canTranscode(file)) return;
+    try {
+        const blob = await Blob.findOneAndUpdate({ hash: file.blobHash, hlsStatus: null }, { hlsStatus: 'queued' }, { new: true });
+        if (blob) {
+            transcodeQueue.push(blob.hash);
+            processTranscodeQueue();
+        }
+    } catch (err) {
+        console.error(`Could not queue ${file.storedName} for transcoding:`, err.message);
+    }
+}
+
+async function processTranscodeQueue() {
+    if (transcodeRunning) return;
+    transcodeRunning = true;
+    while (transcodeQueue.length > 0) {
+        await transcodeBlob(transcodeQueue.shift());
+    }
+    transcodeRunning = false;
+}
+
+async function transcodeBlob(hash) {
+    // Turned off in the meantime: queued again on the next upload or view once it is back on
+    if (!hlsTranscoding) {
+        await Blob.updateOne({ hash, hlsStatus: 'queued' }, { hlsStatus: null }).catch(() => {});
+        return;
+    }
+    const blob = await Blob.findOneAndUpdate({ hash, hlsStatus: 'queued' }, { hlsStatus: 'processing' }, { new: true }).catch(() => null);
+    if (!blob) return; // deleted in the meantime
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ohiofiles-hls-'));
+    const sourcePath = path.join(workDir, 'source');
+    const outputDir = path.join(workDir, 'hls');
+    const stored = [];
+    try {
+        console.log(`Transcoding blob ${hash} to HLS`);
+        await pipeline(await fileStorage.get(blob.key), fs.createWriteStream(sourcePath));
+        const { renditions, files } = await transcodeToHls(sourcePath, outputDir);
+        // The video may have been deleted while ffmpeg ran. Its release waits for this, so
+        // streams stored for a blob that still exists are deleted along with it.
+        const kept = await withBlobLock(hash, async () => {
+            if (!await Blob.findOne({ hash })) {
+                return false;
+            }
+            for (const name of files) {
+                await fileStorage.put(getHlsKey(hash, name), path.join(outputDir, name));
+                stored.push(name);
+            }
+            await Blob.updateOne({ hash }, { hlsStatus: 'ready', hlsRenditions: renditions, hlsFiles: files, hlsError: null });
+            return true;
+        });
+        if (!kept) {
+            console.log(`Blob ${hash} was deleted while it was transcoded`);
+            return;
+        }
+        console.log(`Transcoded blob ${hash} to ${renditions.join(', ')}`);
+    } catch (err) {
+        for (const name of stored) {
+            await fileStorage.delete(getHlsKey(hash, name)).catch(() => {});
+        }
+        // Without ffmpeg the video is queued again the next time it is uploaded or viewed
+        const update = err.toolMissing
+            ? { hlsStatus: null, hlsError: 'ffmpeg is not installed' }
+            : { hlsStatus: 'failed', hlsError: err.message };
+        console.error(`Transcoding failed for blob ${hash}:`, err.message);
+        await Blob.updateOne({ hash }, update).catch(() => {});
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+// Requeue videos whose transcoding was interrupted by a restart. With transcoding off they are
+// reset instead, to be queued like any other video once it is turned on.
+async function queueInterruptedTranscodes() {
+    try {
+        if (!hlsTranscoding) {
+            await Blob.updateMany({ hlsStatus: { $in: ['queued', 'processing'] } }, { hlsStatus: null });
+            return;
+        }
+        const blobs = await Blob.find({ hlsStatus: { $in: ['queued', 'processing'] } });
+        for (const blob of blobs) {
+            await Blob.updateOne({ hash: blob.hash }, { hlsStatus: 'queued' });
+            transcodeQueue.push(blob.hash);
+        }
+        processTranscodeQueue();
+    } catch (err) {
+        console.error('Error requeueing transcodes:', err);
+    }
+}
+setTimeout(queueInterruptedTranscodes, 10 * 1000);
+
+// Transcoding state for the info endpoint: status ('none' when it is off and the video was never
+// transcoded), renditions and the master playlist URL once ready. Null for files that can't be transcoded.
+async function getTranscodeInfo(file) {
+    if (!canTranscode(file)) return null;
+    await queueTranscode(file);
+    const blob = await Blob.findOne({ hash: file.blobHash });
+    const status = (blob && blob.hlsStatus) || 'none';
+    return {
+        status,
+        renditions: status === 'ready' ? blob.hlsRenditions : [],
+        error: status === 'failed' ? blob.hlsError : undefined,
+        hlsUrl: status === 'ready' ? `/api/file/${file.shortId}/hls/${file.blobHash.slice(0, 12)}/master.m3u8` : null
+    };
+}
+
+// Archive browsing (see lib/archive.js). Like thumbnails, extracting single entries would get
+// around download limits, so limited files are left out.
+const archiveListings = new Map(); // storage key -> promise of the listing
+const MAX_CACHED_LISTINGS = 50;    // tar archives have to be read whole to be listed
+
+function canBrowseArchive(file) {
+    return !file.e2eEncrypted && !getDownloadLimit(file) && !!getArchiveFormat(getFileContentType(file), file.originalName);
+}
+
+// { format, entries, truncated } of an archive file, or null if it is missing from storage
+async function getArchiveListing(file) {
+    const key = getStorageKey(file);
+    const format = getArchiveFormat(getFileContentType(file), file.originalName);
+    if (!archiveListings.has(key)) {
+        const stats = await fileStorage.stat(key);
+        if (!stats) return null;
+        const listing = listArchive(range => fileStorage.get(key, range), { format, size: stats.size })
+            .then(({ entries, truncated }) => ({ format, entries, truncated }));
+        listing.catch(() => archiveListings.delete(key));
+        archiveListings.set(key, listing);
+        if (archiveListings.size > MAX_CACHED_LISTINGS) {
+            archiveListings.delete(archiveListings.keys().next().value);
+        }
+    }
+    return archiveListings.get(key);
+}
+
+// Why an API request can't read a file: { status, error } for a JSON response, or null if it can
+function getFileApiError(req, file) {
+    if (getFileUnavailableReason(file)) {
+        return { status: 410, error: 'File is no longer available' };
+    }
+    const scanBlockReason = getScanBlockReason(file);
+    if (scanBlockReason) {
+        if (scanBlockReason === 'pending') return { status: 503, error: 'File is being scanned' };
+        if (scanBlockReason === 'scan-failed') return { status: 403, error: 'File could not be scanned' };
+        return { status: 403, error: 'File is quarantined' };
+    }
+    if (!hasSignedUrlAccess(req, file)) {
+        return { status: 403, error: 'Signed URL required', signedUrlRequired: true };
+    }
+    if (!hasFileAccess(req, file)) {
+        return { status: 401, error: 'Password required', passwordProtected: true };
+    }
+    return null;
+}
+
+function sendFileApiError(res, { status, ...body }) {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(status).json(body);
+}
+
+// Access tokens for unlocked files are signed with SECRET_KEY. Without it a random key
+// is used, so protected files have to be unlocked again after a restart.
+const accessSecret = process.env.SECRET_KEY || crypto.randomBytes(32).toString('hex');
+const FILE_ACCESS_TTL = 60 * 60 * 1000; // unlocked files stay open for 1 hour
+
+function getAccessCookieName(file) {
+    return `file_access_${file.shortId}`;
+}
+
+// Whether the request may read the file: unprotected, or unlocked with its password
+function hasFileAccess(req, file) {
+    if (!file.passwordHash) {
+        return true;
+    }
+    const token = parseCookies(req.headers.cookie)[getAccessCookieName(file)];
+    return verifyAccessToken(token, file.shortId, accessSecret);
+}
+
+// Whether the request comes from the uploader, who sends the session key of the file in X-Session-Key,
+// or follows a session download link signed for its session (req.signedSessionKey, see below)
+function isFileOwner(req, file) {
+    return !!file.sessionKey && (req.headers['x-session-key'] === file.sessionKey || req.signedSessionKey === file.sessionKey);
+}
+
+// Signed URLs: /<storedName>?expires=<unix seconds>&signature=<HMAC>, made by the uploader
+// through POST /api/file/:shortId/signed-url and signed with SECRET_KEY like access cookies
+const SIGNED_URL_DEFAULT_TTL = 60 * 60;          // seconds
+const SIGNED_URL_MAX_TTL = 7 * 24 * 60 * 60;
+
+// Whether a file is only served through signed URLs: asked for at upload, or private files while the
+// admin requires it. Encrypted files are read by their decrypt page and are useless without the key anyway.
+function requiresSignedUrl(file) {
+    return !file.e2eEncrypted && (file.signedUrlsOnly || (requireSignedUrls && !file.isPublic));
+}
+
+function hasValidSignature(req, file) {
+    return verifyUrlSignature(file.shortId, req.query.expires, req.query.signature, accessSecret);
+}
+
+// Query string of a valid signed URL, to pass the signature on to the file from pages showing it
+function getSignatureQuery(req, file) {
+    return hasValidSignature(req, file) ? `?expires=${req.query.expires}&signature=${encodeURIComponent(req.query.signature)}` : '';
+}
+
+// Whether the request may read a file as far as signed URLs are concerned: signed, or from the uploader
+function hasSignedUrlAccess(req, file) {
+    return !requiresSignedUrl(file) || hasValidSignature(req, file) || isFileOwner(req, file);
+}
+
+// Sites that may embed the file, empty when any may
+function getAllowedReferers(file) {
+    return file.allowedReferers && file.allowedReferers.length ? file.allowedReferers : hotlinkAllowedReferers;
+}
+
+// Hotlink protection: with an allowlist, pages of other sites can't embed the file. Opening it (a navigation),
+// requests without a Referer (typed in, from apps, or stripped for privacy), our own pages and signed URLs pass.
+function isHotlinkAllowed(req, file) {
+    const referer = req.headers.referer;
+    const allowed = getAllowedReferers(file);
+    if (!referer || allowed.length === 0 || req.headers['sec-fetch-dest'] === 'document' || hasValidSignature(req, file)) {
+        return true;
+    }
+    const ownHosts = [req.hostname];
+    try {
+        ownHosts.push(new URL(getPublicOrigin(req)).hostname);
+    } catch (err) {
+        // a malformed forwarded host only leaves the request's own
+    }
+    return isRefererAllowed(referer, [...ownHosts, ...allowed]);
+}
+
+function sendHotlinkBlocked(res) {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(403).send('Hotlinking this file is not allowed');
+}
+
+// Pages showing a file with an allowlist may only be framed by the allowed sites. An iframe can drop
+// its Referer, and the file requests of the framed page come from our own host, so this is enforced
+// by the browser as well.
+function setFrameAncestors(res, file) {
+    const allowed = getAllowedReferers(file);
+    if (allowed.length) {
+        const sources = allowed.map(host => `${host} *.${host}`).join(' ');
+        res.setHeader('Content-Security-Policy', `frame-ancestors 'self' ${sources}`);
+    }
+}
+
+function sendUnavailablePage(res, file, reason) {
+    const message = reason === 'expired'
+        ? 'This link has expired and the file is no longer available.'
+        : file.burnAfterRead
+            ? 'This file could only be downloaded once and has already been downloaded.'
+            : 'This file has reached its download limit and is no longer available.';
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(410).send(renderMessagePage({ title: 'File no longer available', message }));
+}
+
+// Send the page that keeps a browser from reading a file (gone, being scanned or quarantined,
+// not signed, locked with a password). Returns whether a page was sent.
+function sendFileBlockedPage(req, res, file) {
+    const unavailableReason = getFileUnavailableReason(file);
+    if (unavailableReason) {
+        sendUnavailablePage(res, file, unavailableReason);
+        return true;
+    }
+    const scanBlockReason = getScanBlockReason(file);
+    if (scanBlockReason) {
+        sendScanBlockedPage(res, scanBlockReason);
+        return true;
+    }
+    if (!hasSignedUrlAccess(req, file)) {
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(403).send(renderMessagePage({
+            title: 'Signed link required',
+            message: 'This file can only be opened through a signed link from its owner, or the link has expired.'
+        }));
+        return true;
+    }
+    if (!hasFileAccess(req, file)) {
+        res.setHeader('Cache-Control', 'no-store');
+        res.status(401).send(renderUnlockPage({
+            shortId: file.shortId,
+            fileName: file.originalName,
+            returnTo: req.originalUrl
+        }));
+        return true;
+    }
+    return false;
+}
+
 // Set up multer for file uploads (absolute path)
 const storage = multer.diskStorage({
     destination: (req, file, cb) => cb(null, uploadDir),
     filename: (req, file, cb) => {
-        const tempName = Date.now() + '-' + file.originalname;  // Temporary filename
+        const tempName = `upload-${Date.now()}-${crypto.randomBytes(6).toString('hex')}.tmp`;  // Temporary filename
+        // Remembered so a failed or aborted upload can remove its partial file
+        req.uploadTempFiles = (req.uploadTempFiles || []).concat(path.join(uploadDir, tempName));
         cb(null, tempName);
     }
 });
@@ -149,28 +903,49 @@ function getOptimizedMimeType(filename) {
     return streamingTypes[ext] || mimeType;
 }
 
-// Utility function to determine if file should support range requests
-function supportsRangeRequests(mimeType) {
-    return mimeType.startsWith('video/') || 
-           mimeType.startsWith('audio/') || 
-           mimeType === 'application/pdf' ||
-           mimeType.startsWith('image/');
+// Content type a file is served with. Files uploaded before content detection only have their extension.
+function getFileContentType(file) {
+    return file.contentType || getOptimizedMimeType(file.originalName);
 }
 
-// Handle both file uploads and form fields
-const upload = multer({ 
-    storage: storage,
-    limits: {
-        fileSize: 10 * 1024 * 1024 * 1024 // 10GB max (will be checked in route logic)
-    }
-});
+// Transform stream that fails with a 413 upload error once more than `limit` bytes pass through
+function createByteLimiter(limit, message) {
+    let received = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > limit) {
+                return callback(createUploadError(413, message));
+            }
+            callback(null, chunk);
+        }
+    });
+}
 
 // Serve static files
 // Public files API (move above static middleware)
 app.get('/api/public-files', async (req, res) => {
     try {
-        const files = await File.find({ isPublic: true }).sort({ uploadDate: -1 }).select('originalName storedName uploadDate');
-        res.json(files);
+        // Files with download limits, passwords or signed URLs are meant for specific recipients, and expired ones are about to go
+        const files = await File.find({
+            isPublic: true,
+            burnAfterRead: { $ne: true },
+            maxDownloads: null,
+            passwordHash: null,
+            signedUrlsOnly: { $ne: true },
+            scanStatus: { $nin: SCAN_BLOCKED_STATUSES },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        }).sort({ uploadDate: -1 }).select('originalName storedName shortId uploadDate e2eEncrypted contentType blobHash snippet');
+        res.json(files.map(file => ({
+            _id: file._id,
+            originalName: file.originalName,
+            storedName: file.storedName,
+            shortId: file.shortId,
+            uploadDate: file.uploadDate,
+            e2eEncrypted: file.e2eEncrypted,
+            thumbnailUrl: getThumbnailUrl(file),
+            snippetUrl: file.snippet ? `/p/${file.shortId}` : null
+        })));
     } catch (err) {
         res.status(500).json({ error: 'Failed to fetch public files' });
     }
@@ -287,15 +1062,6 @@ async function checkBanMiddleware(req, res, next) {
 }
 
 // File upload route with enhanced error handling
-// Public files API
-app.get('/api/public-files', async (req, res) => {
-    try {
-        const files = await File.find({ isPublic: true }).sort({ uploadDate: -1 }).select('originalName storedName uploadDate');
-        res.json(files);
-    } catch (err) {
-        res.status(500).json({ error: 'Failed to fetch public files' });
-    }
-});
 
 // Toggle file public/private status (public endpoint)
 app.post('/api/toggle-public', async (req, res) => {
@@ -328,115 +1094,876 @@ app.post('/api/toggle-public', async (req, res) => {
     }
 });
 
-app.post('/upload', rateLimitMiddleware, checkBanMiddleware, upload.single('file'), async (req, res) => {
-    console.log('Upload API called. Body:', req.body, 'File:', req.file);
-    console.log('Headers:', req.headers['x-admin-pin'] ? 'Admin PIN provided' : 'No admin PIN');
-    try {
-        // Check if public uploads are allowed
-        const isPublic = req.body.isPublic === 'true';
-        if (isPublic && !publicUploadsAllowed) {
-            return res.status(403).json({ error: 'Public uploads are currently disabled' });
+// Error carrying the HTTP status an upload should be rejected with
+function createUploadError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Turn a custom filename into a URL-safe shortId fragment
+function sanitizeCustomFilename(customFilename) {
+    return customFilename
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '-') // Replace non-alphanumeric chars with hyphens
+        .replace(/-+/g, '-')        // Replace multiple hyphens with single hyphen
+        .replace(/^-|-$/g, '');     // Remove leading/trailing hyphens
+}
+
+// Generate a unique shortId (or use custom name if provided)
+async function generateShortId(customFilename) {
+    let shortId;
+    let fileExists;
+
+    if (customFilename && customFilename.length > 0) {
+        console.log('Using custom filename:', customFilename);
+
+        // Use custom filename but ensure it's URL-safe
+        shortId = sanitizeCustomFilename(customFilename.trim());
+
+        // Ensure the custom name is not empty after sanitization
+        if (!shortId) {
+            shortId = crypto.randomBytes(3).toString('hex');
+        } else {
+            // Check if custom name already exists
+            fileExists = await File.findOne({ shortId });
+            if (fileExists) {
+                // Append random string to make it unique
+                shortId = shortId + '-' + crypto.randomBytes(2).toString('hex');
+            }
         }
+    } else {
+        // Generate random name if no custom name provided
+        do {
+            shortId = crypto.randomBytes(3).toString('hex');
+            fileExists = await File.findOne({ shortId });
+        } while (fileExists);
+    }
 
-        // Check for admin bypass
-        const bypassSizeLimit = req.body.bypassSizeLimit === 'true';
-        const adminPin = req.headers['x-admin-pin'];
-        const isAdminRequest = adminPin && adminPin === ADMIN_PIN;
-        
-        console.log('Bypass requested:', bypassSizeLimit, 'Admin request:', isAdminRequest, 'File size:', req.file ? Math.round(req.file.size / 1024 / 1024) + 'MB' : 'No file');
+    return shortId;
+}
+
+// Files and bytes currently stored for a query (a session key or an IP)
+async function getStorageUsage(query) {
+    const [usage] = await File.aggregate([
+        { $match: query },
+        { $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: '$size' } } }
+    ]);
+    return { files: usage ? usage.files : 0, bytes: usage ? usage.bytes : 0 };
+}
+
+// Quota limits for a session: the admin override if there is one, else the global settings.
+// Limits are in bytes / files, null meaning unlimited.
+async function getSessionQuota(sessionKey) {
+    const override = sessionKey ? await SessionQuota.findOne({ sessionKey }) : null;
+    const maxMB = override && typeof override.maxMB === 'number' ? override.maxMB : sessionQuotaMB;
+    const maxFiles = override && typeof override.maxFiles === 'number' ? override.maxFiles : sessionQuotaFiles;
+    return {
+        maxBytes: maxMB > 0 ? maxMB * 1024 * 1024 : null,
+        maxFiles: maxFiles > 0 ? maxFiles : null,
+        overridden: !!override
+    };
+}
+
+// Session usage together with its quota, as shown on the Settings page
+async function getSessionUsage(sessionKey) {
+    const [usage, quota] = await Promise.all([getStorageUsage({ sessionKey }), getSessionQuota(sessionKey)]);
+    return { ...usage, maxBytes: quota.maxBytes, maxFiles: quota.maxFiles };
+}
+
+// Throw if storing `size` more bytes would take the session or the IP over its quota
+async function checkQuotas({ sessionKey, ip, size }) {
+    if (sessionKey) {
+        const usage = await getSessionUsage(sessionKey);
+        if (usage.maxFiles !== null && usage.files + 1 > usage.maxFiles) {
+            throw createUploadError(403, `Session file limit reached (${usage.maxFiles} files)`);
+        }
+        if (usage.maxBytes !== null && usage.bytes + size > usage.maxBytes) {
+            throw createUploadError(403, `Session storage quota exceeded (${Math.round(usage.maxBytes / 1024 / 1024)}MB)`);
+        }
+    }
+
+    if (ip && (ipQuotaMB > 0 || ipQuotaFiles > 0)) {
+        const usage = await getStorageUsage({ ip });
+        if (ipQuotaFiles > 0 && usage.files + 1 > ipQuotaFiles) {
+            throw createUploadError(403, `File limit reached for your IP (${ipQuotaFiles} files)`);
+        }
+        if (ipQuotaMB > 0 && usage.bytes + size > ipQuotaMB * 1024 * 1024) {
+            throw createUploadError(403, `Storage quota exceeded for your IP (${ipQuotaMB}MB)`);
+        }
+    }
+}
+
+// Form fields accepted by the upload pipeline, kept as strings like multer's req.body
+const UPLOAD_FIELDS = ['customFilename', 'isPublic', 'sessionKey', 'bypassSizeLimit', 'expiresIn', 'maxDownloads', 'burnAfterRead', 'password', 'stripMetadata', 'e2eEncrypted', 'snippet', 'language', 'signedUrlsOnly', 'allowedReferers'];
+
+// Whether a yes/no upload field is set: form fields arrive as 'true', JSON bodies may send true
+function isFieldTrue(value) {
+    return value === 'true' || value === true;
+}
+
+function pickUploadFields(body) {
+    const fields = {};
+    for (const name of UPLOAD_FIELDS) {
+        if (body[name] !== undefined && body[name] !== null) {
+            fields[name] = String(body[name]);
+        }
+    }
+    return fields;
+}
+
+const MAX_EXPIRY_SECONDS = 365 * 24 * 60 * 60; // 1 year
+
+// Validate the expiry / download limit fields of an upload
+function parseLifetimeFields(fields) {
+    const lifetime = {
+        expiresAt: null,
+        maxDownloads: null,
+        burnAfterRead: fields.burnAfterRead === 'true'
+    };
+
+    if (fields.expiresIn) {
+        const seconds = Number(fields.expiresIn);
+        if (!Number.isInteger(seconds) || seconds <= 0 || seconds > MAX_EXPIRY_SECONDS) {
+            throw createUploadError(400, 'Invalid expiry time');
+        }
+        lifetime.expiresAt = new Date(Date.now() + seconds * 1000);
+    }
+
+    if (fields.maxDownloads) {
+        const maxDownloads = Number(fields.maxDownloads);
+        if (!Number.isInteger(maxDownloads) || maxDownloads <= 0) {
+            throw createUploadError(400, 'Invalid download limit');
+        }
+        lifetime.maxDownloads = maxDownloads;
+    }
+
+    return lifetime;
+}
+
+const MAX_PASSWORD_LENGTH = 256;
+
+function validatePasswordField(fields) {
+    if (fields.password && fields.password.length > MAX_PASSWORD_LENGTH) {
+        throw createUploadError(400, `Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+    }
+}
+
+// Validate the snippet fields of an upload of `size` bytes; resolves with the snippet language
+// (null to auto-detect), or undefined when the upload is not a snippet
+function parseSnippetFields(fields, size) {
+    if (fields.snippet !== 'true') return undefined;
+    if (fields.e2eEncrypted === 'true') {
+        throw createUploadError(400, 'Snippets can\'t be end-to-end encrypted');
+    }
+    if (size > MAX_SNIPPET_SIZE) {
+        throw createUploadError(413, `Snippets can be at most ${MAX_SNIPPET_SIZE / 1024}KB`);
+    }
+    const language = parseSnippetLanguage(fields.language);
+    if (language === undefined) {
+        throw createUploadError(400, 'Unknown snippet language');
+    }
+    return language;
+}
+
+// Validate the link protection fields of an upload: { signedUrlsOnly, allowedReferers }
+function parseLinkProtectionFields(fields) {
+    const signedUrlsOnly = fields.signedUrlsOnly === 'true';
+    if (signedUrlsOnly && fields.e2eEncrypted === 'true') {
+        throw createUploadError(400, 'End-to-end encrypted files can\'t require signed URLs');
+    }
+    if (signedUrlsOnly && !fields.sessionKey) {
+        throw createUploadError(400, 'Files that require signed URLs need a session key to create them');
+    }
+    const allowedReferers = fields.allowedReferers ? parseHostList(fields.allowedReferers) : [];
+    if (!allowedReferers) {
+        throw createUploadError(400, 'Allowed sites must be host names like "example.com"');
+    }
+    return { signedUrlsOnly, allowedReferers };
+}
+
+// Throw unless the admin's file type policy accepts `contentType`
+function checkFileTypePolicy(contentType) {
+    if (matchesTypePattern(contentType, blockedFileTypes) ||
+        (allowedFileTypes.length > 0 && !matchesTypePattern(contentType, allowedFileTypes))) {
+        throw createUploadError(415, `Files of type ${contentType} are not allowed`);
+    }
+}
+
+const FILE_TYPE_PATTERN = /^[a-z0-9][a-z0-9.+-]*\/(\*|[a-z0-9][a-z0-9.+-]*)$/;
+
+// Parse a list of content type patterns from the settings API (array or comma separated string), null if invalid
+function parseFileTypeList(value) {
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(type => String(type).trim().toLowerCase())
+        .filter(Boolean);
+    return list.every(type => FILE_TYPE_PATTERN.test(type)) ? [...new Set(list)] : null;
+}
+
+// End-to-end encrypted uploads must be in the format of public/decrypt.js. Whether an upload is
+// encrypted is the client's word, so what follows the header is sniffed as well: ciphertext is
+// not recognised as anything, plaintext passed off as encrypted still meets the blocklist.
+const E2E_MAGIC = Buffer.from('OFE2E1\0\0');
+const E2E_HEADER_SIZE = 16;
+
+async function checkEncryptedUpload(tempPath, isAdminRequest) {
+    const handle = await fs.promises.open(tempPath, 'r');
+    let magic;
+    try {
+        ({ buffer: magic } = await handle.read(Buffer.alloc(E2E_MAGIC.length), 0, E2E_MAGIC.length, 0));
+    } finally {
+        await handle.close();
+    }
+    if (!magic.equals(E2E_MAGIC)) {
+        throw createUploadError(400, 'Encrypted uploads must be made with the end-to-end encryption of the upload page');
+    }
+    const sniffedType = await detectFileContentType(tempPath, E2E_HEADER_SIZE);
+    if (sniffedType && !isAdminRequest && matchesTypePattern(sniffedType, blockedFileTypes)) {
+        throw createUploadError(415, `Files of type ${sniffedType} are not allowed`);
+    }
+}
+
+// Shared upload pipeline: validates a finished temp file in uploadDir, moves it
+// into content-addressed storage and saves the File record. Used by both /upload and chunked uploads.
+// Throws errors created with createUploadError for client-side problems; the
+// caller is responsible for removing the temp file when this throws.
+async function finalizeUpload({ tempPath, originalName, size, ip, fields, isAdminRequest }) {
+    // Check if public uploads are allowed
+    const isPublic = isFieldTrue(fields.isPublic);
+    if (isPublic && !publicUploadsAllowed) {
+        throw createUploadError(403, 'Public uploads are currently disabled');
+    }
+
+    // Check for admin bypass
+    const bypassSizeLimit = isFieldTrue(fields.bypassSizeLimit);
+
+    console.log('Bypass requested:', bypassSizeLimit, 'Admin request:', isAdminRequest, 'File size:', Math.round(size / 1024 / 1024) + 'MB');
+
+    // Check file size limit (bypass if admin)
+    if (size > maxFileSize * 1024 * 1024) {
+        if (!bypassSizeLimit || !isAdminRequest) {
+            throw createUploadError(400, `File size exceeds ${maxFileSize}MB limit`);
+        }
+        // Admin bypassing size limit
+        console.log(`Admin bypassing size limit for file: ${originalName} (${Math.round(size / 1024 / 1024)}MB)`);
+    }
+
+    // guard reserved custom names
+    if (fields.customFilename && RESERVED.includes(sanitizeCustomFilename(fields.customFilename))) {
+        throw createUploadError(400, 'That filename is reserved');
+    }
+
+    const lifetime = parseLifetimeFields(fields);
+    validatePasswordField(fields);
+    const protection = parseLinkProtectionFields(fields);
+    const language = parseSnippetFields(fields, size);
+    const snippet = language !== undefined;
+    if (snippet) {
+        if (!isSnippetText(await fs.promises.readFile(tempPath))) {
+            throw createUploadError(400, 'Snippets must be UTF-8 text');
+        }
+        // Name the file after its language unless the name already has an extension
+        if (language && !path.extname(originalName)) {
+            originalName += SNIPPET_LANGUAGES[language].extension;
+        }
+    }
+
+    // The content decides the type, the extension can only narrow it (e.g. a zip named .docx).
+    // End-to-end encrypted uploads are opaque to us, and snippets are always shown as text.
+    const e2eEncrypted = fields.e2eEncrypted === 'true';
+    if (e2eEncrypted) {
+        await checkEncryptedUpload(tempPath, isAdminRequest);
+    }
+    const contentType = e2eEncrypted
+        ? 'application/octet-stream'
+        : snippet
+            ? 'text/plain'
+            : resolveContentType(await detectFileContentType(tempPath), getOptimizedMimeType(originalName));
+    if (!isAdminRequest) {
+        checkFileTypePolicy(contentType);
+    }
+
+    // Admins bypassing the size limit also bypass quotas
+    if (!(bypassSizeLimit && isAdminRequest)) {
+        await checkQuotas({ sessionKey: fields.sessionKey, ip, size });
+    }
+
+    console.log('Processing upload for:', originalName, 'from IP:', ip);
+
+    const shortId = await generateShortId(fields.customFilename);
+    const extension = path.extname(originalName); // Get the file extension
+    const storedName = shortId + extension;      // New file name with extension
+    // Remove EXIF/GPS and other metadata when asked. This changes the content, so it runs before hashing.
+    let metadata;
+    if (fields.stripMetadata === 'true' && e2eEncrypted) {
+        metadata = { stripped: false, format: null, reason: 'The file is end-to-end encrypted' };
+    } else if (fields.stripMetadata === 'true') {
+        metadata = await stripMetadata(tempPath);
+        size = (await fs.promises.stat(tempPath)).size;
+        console.log(`Metadata stripping for ${originalName}:`, metadata);
+    }
+
+    // Chunked uploads hash the password when the upload is created (see POST /upload/chunked)
+    const passwordHash = fields.passwordHash || (fields.password ? await hashPassword(fields.password) : undefined);
+    const blob = await storeBlob(tempPath, size);
+    console.log(`Stored ${storedName} as blob ${blob.hash}`);
+
+    // Save metadata
+    const sessionKey = fields.sessionKey;
+    console.log('Saving file with session key:', sessionKey);
+
+    const record = new File({
+        originalName,
+        storedName,
+        path: blob.key,
+        shortId,
+        size,
+        ip,
+        isPublic,
+        sessionKey,
+        blobHash: blob.hash,
+        expiresAt: lifetime.expiresAt,
+        maxDownloads: lifetime.maxDownloads,
+        burnAfterRead: lifetime.burnAfterRead,
+        passwordHash,
+        contentType,
+        scanStatus: scanner ? 'pending' : undefined,
+        e2eEncrypted,
+        snippet,
+        language: language || undefined,
+        signedUrlsOnly: protection.signedUrlsOnly,
+        allowedReferers: protection.allowedReferers
+    });
+    let file;
+    try {
+        file = await record.save();
+    } catch (error) {
+        // Give back the reference taken by storeBlob, nothing points to it
+        await releaseFile(record).catch(err => console.error('Error releasing blob of unsaved file:', err));
+        throw error;
+    }
+    console.log('Metadata saved successfully');
+    if (scanner) {
+        queueScan(file);
+    } else {
+        queueThumbnail(file);
+        queueTranscode(file);
+    }
+
+    return {
+        file,
+        response: {
+            fileUrl: `/${storedName}`,
+            originalName,
+            metadata,
+            scanStatus: file.scanStatus,
+            snippetUrl: snippet ? `/p/${shortId}` : undefined
+        }
+    };
+}
+
+// Send the error thrown by finalizeUpload (or an unexpected one) to the client
+function sendUploadError(res, err) {
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Upload handler error:', err.stack || err);
+    return res.status(500).json({ error: 'Internal server error: ' + err.message });
+}
+
+// Upload size limits are enforced while the body is received, not after it has been written:
+// the declared Content-Length is checked first, then multer stops at the limit.
+const ADMIN_UPLOAD_LIMIT = 10 * 1024 * 1024 * 1024; // 10GB for admins bypassing maxFileSize
+const MULTIPART_OVERHEAD = 1024 * 1024;             // room for form fields and boundaries
+
+function isAdminPinRequest(req) {
+    const adminPin = req.headers['x-admin-pin'];
+    return !!adminPin && adminPin === ADMIN_PIN;
+}
+
+function getUploadByteLimit(req) {
+    return isAdminPinRequest(req) ? ADMIN_UPLOAD_LIMIT : maxFileSize * 1024 * 1024;
+}
+
+// Rejecting with Connection: close makes Node drop the socket instead of reading the rest of the body
+function sendTooLarge(res) {
+    res.set('Connection', 'close');
+    return res.status(413).json({ error: `File size exceeds ${maxFileSize}MB limit` });
+}
+
+function rejectOversizedUpload(req, res, next) {
+    const declaredLength = Number(req.headers['content-length']);
+    if (Number.isFinite(declaredLength) && declaredLength > getUploadByteLimit(req) + MULTIPART_OVERHEAD) {
+        return sendTooLarge(res);
+    }
+    next();
+}
 
-        // Check file size limit (bypass if admin)
-        if (req.file && req.file.size > maxFileSize * 1024 * 1024) {
-            if (!bypassSizeLimit || !isAdminRequest) {
-                fs.unlinkSync(req.file.path); // Clean up uploaded file
-                return res.status(400).json({ error: `File size exceeds ${maxFileSize}MB limit` });
+function removeUploadTempFiles(req) {
+    for (const tempPath of req.uploadTempFiles || []) {
+        fs.promises.unlink(tempPath).catch(() => {});
+    }
+    req.uploadTempFiles = [];
+}
+
+// Parse the multipart body, aborting as soon as the file passes the size limit
+function receiveUpload(req, res, next) {
+    const parser = multer({
+        storage,
+        limits: { fileSize: getUploadByteLimit(req), files: 1, fields: 20, fieldSize: 64 * 1024 }
+    }).single('file');
+
+    // Client went away mid-upload
+    req.on('close', () => {
+        if (!req.complete) removeUploadTempFiles(req);
+    });
+
+    parser(req, res, (err) => {
+        if (!err) return next();
+        removeUploadTempFiles(req);
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return sendTooLarge(res);
+        }
+        res.set('Connection', 'close');
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.log('Upload was not received completely:', err.message);
+        return res.status(400).json({ error: 'Upload was interrupted' });
+    });
+}
+
+// Checks run in this order: the cheap ones that don't read the body come first
+const uploadGuards = [rateLimitMiddleware, checkBanMiddleware, rejectOversizedUpload, receiveUpload];
+
+app.post('/upload', uploadGuards, async (req, res) => {
+    const { password, ...loggedBody } = req.body; // keep passwords out of the logs
+    console.log('Upload API called. Body:', loggedBody, 'File:', req.file);
+    console.log('Headers:', req.headers['x-admin-pin'] ? 'Admin PIN provided' : 'No admin PIN');
+    if (!req.file) {
+        console.error('No file in request');
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    try {
+        const { response } = await finalizeUpload({
+            tempPath: req.file.path,
+            originalName: req.file.originalname, // Original file name (with extension)
+            size: req.file.size,
+            ip: req.ip, // the client's address, see TRUST_PROXY
+            fields: pickUploadFields(req.body),
+            isAdminRequest: isAdminPinRequest(req)
+        });
+        return res.json(response);
+    } catch (err) {
+        fs.promises.unlink(req.file.path).catch(() => {}); // Clean up uploaded file
+        return sendUploadError(res, err);
+    }
+});
+
+// Resumable chunked uploads
+// 1. POST /upload/chunked                  -> create, returns { uploadId, offset, chunkSize }
+// 2. PUT  /upload/chunked/:uploadId         -> append a chunk at the Upload-Offset header
+// 3. GET  /upload/chunked/:uploadId         -> current offset, used to resume
+// 4. POST /upload/chunked/:uploadId/complete -> finalize into a File record
+// 5. DELETE /upload/chunked/:uploadId      -> cancel and remove the partial file
+// The partial file on disk is the source of truth for the offset, so a chunk
+// that was cut off half-way simply resumes from wherever the bytes stopped.
+const CHUNK_SIZE = 5 * 1024 * 1024;                  // suggested chunk size for clients
+const PENDING_UPLOAD_TTL = 24 * 60 * 60 * 1000;      // drop stalled uploads after 24 hours
+const activeChunkWrites = new Set();                 // uploadIds with a PUT in progress
+
+async function getUploadOffset(pending) {
+    try {
+        const stats = await fs.promises.stat(pending.tempPath);
+        return stats.size;
+    } catch (err) {
+        return 0;
+    }
+}
+
+async function findPendingUpload(req, res) {
+    const { uploadId } = req.params;
+    if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+        res.status(400).json({ error: 'Invalid upload id' });
+        return null;
+    }
+    const pending = await PendingUpload.findOne({ uploadId });
+    if (!pending) {
+        res.status(404).json({ error: 'Upload not found' });
+        return null;
+    }
+    return pending;
+}
+
+app.post('/upload/chunked', rateLimitMiddleware, checkBanMiddleware, async (req, res) => {
+    try {
+        const { fileName } = req.body;
+        const size = Number(req.body.size);
+        const fields = pickUploadFields(req.body);
+        // Read like finalizeUpload does, so the upload isn't refused at the end for what was allowed here
+        const isPublic = isFieldTrue(req.body.isPublic);
+        const bypassSizeLimit = isFieldTrue(req.body.bypassSizeLimit);
+
+        if (!fileName || typeof fileName !== 'string') {
+            return res.status(400).json({ error: 'fileName is required' });
+        }
+        if (!Number.isInteger(size) || size < 0) {
+            return res.status(400).json({ error: 'size must be a non-negative integer' });
+        }
+
+        const isAdminRequest = isAdminPinRequest(req);
+        if (size > maxFileSize * 1024 * 1024 && !(bypassSizeLimit && isAdminRequest)) {
+            return res.status(400).json({ error: `File size exceeds ${maxFileSize}MB limit` });
+        }
+        if (isPublic && !publicUploadsAllowed) {
+            return res.status(403).json({ error: 'Public uploads are currently disabled' });
+        }
+        try {
+            parseLifetimeFields(fields);
+            validatePasswordField(fields);
+            parseLinkProtectionFields(fields);
+            parseSnippetFields(fields, size);
+            // Checked again when the upload completes, in case other uploads finished meanwhile
+            if (!(bypassSizeLimit && isAdminRequest)) {
+                await checkQuotas({ sessionKey: fields.sessionKey, ip: req.ip, size });
             }
-            // Admin bypassing size limit
-            console.log(`Admin bypassing size limit for file: ${req.file.originalname} (${Math.round(req.file.size / 1024 / 1024)}MB)`);
+        } catch (err) {
+            if (!err.status) throw err;
+            return res.status(err.status).json({ error: err.message });
+        }
+        // Don't keep the plain password around while the upload is in progress
+        if (fields.password) {
+            fields.passwordHash = await hashPassword(fields.password);
+        }
+        delete fields.password;
+
+        const uploadId = crypto.randomBytes(16).toString('hex');
+        const tempPath = path.join(uploadDir, `${uploadId}.part`);
+        await fs.promises.writeFile(tempPath, '');
+
+        await new PendingUpload({
+            uploadId,
+            originalName: path.basename(fileName),
+            size,
+            tempPath,
+            ip: req.ip,
+            fields
+        }).save();
+
+        console.log(`Chunked upload ${uploadId} created for ${fileName} (${size} bytes)`);
+        res.status(201).json({ uploadId, offset: 0, size, chunkSize: CHUNK_SIZE });
+    } catch (error) {
+        console.error('Error creating chunked upload:', error);
+        res.status(500).json({ error: 'Failed to create upload' });
+    }
+});
+
+app.get('/upload/chunked/:uploadId', async (req, res) => {
+    try {
+        const pending = await findPendingUpload(req, res);
+        if (!pending) return;
+        const offset = await getUploadOffset(pending);
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ uploadId: pending.uploadId, offset, size: pending.size, fileName: pending.originalName });
+    } catch (error) {
+        console.error('Error fetching upload status:', error);
+        res.status(500).json({ error: 'Failed to fetch upload status' });
+    }
+});
+
+app.put('/upload/chunked/:uploadId', checkBanMiddleware, async (req, res) => {
+    const { uploadId } = req.params;
+    if (activeChunkWrites.has(uploadId)) {
+        res.setHeader('Retry-After', '1');
+        return res.status(409).json({ error: 'Another chunk is already being written' });
+    }
+    activeChunkWrites.add(uploadId);
+    try {
+        const pending = await findPendingUpload(req, res);
+        if (!pending) return;
+
+        const offset = await getUploadOffset(pending);
+        const clientOffset = Number(req.headers['upload-offset']);
+        if (clientOffset !== offset) {
+            return res.status(409).json({ error: 'Offset mismatch', offset });
+        }
+
+        const declaredLength = Number(req.headers['content-length']);
+        if (Number.isFinite(declaredLength) && offset + declaredLength > pending.size) {
+            res.set('Connection', 'close');
+            return res.status(413).json({ error: 'Chunk exceeds declared file size', offset });
+        }
+
+        // Append the request body, stopping if the client sends more than it declared
+        await pipeline(
+            req,
+            createByteLimiter(pending.size - offset, 'Chunk exceeds declared file size'),
+            fs.createWriteStream(pending.tempPath, { flags: 'a' })
+        );
+
+        pending.updatedAt = new Date();
+        await pending.save();
+        res.json({ offset: await getUploadOffset(pending) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error('Error writing chunk:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to write chunk' });
+        }
+    } finally {
+        activeChunkWrites.delete(uploadId);
+    }
+});
 
-        // guard reserved custom names
-        if (req.body.customFilename) {
-            const sanitized = req.body.customFilename
-                .toLowerCase().replace(/[^a-z0-9]/g,'-').replace(/-+/g,'-').replace(/^-|-$/g,'');
-            if (RESERVED.includes(sanitized)) {
-                return res.status(400).json({ error: 'That filename is reserved' });
+app.post('/upload/chunked/:uploadId/complete', checkBanMiddleware, async (req, res) => {
+    let completing = null;
+    try {
+        const pending = await findPendingUpload(req, res);
+        if (!pending) return;
+        if (activeChunkWrites.has(pending.uploadId)) {
+            res.setHeader('Retry-After', '1');
+            return res.status(409).json({ error: 'A chunk is still being written' });
+        }
+        activeChunkWrites.add(pending.uploadId);
+        completing = pending.uploadId;
+
+        const offset = await getUploadOffset(pending);
+        if (offset !== pending.size) {
+            return res.status(409).json({ error: 'Upload is incomplete', offset, size: pending.size });
+        }
+
+        try {
+            const { response } = await finalizeUpload({
+                tempPath: pending.tempPath,
+                originalName: pending.originalName,
+                size: pending.size,
+                ip: pending.ip,
+                fields: pending.fields || {},
+                isAdminRequest: isAdminPinRequest(req)
+            });
+            await PendingUpload.deleteOne({ uploadId: pending.uploadId });
+            console.log(`Chunked upload ${pending.uploadId} finalized as ${response.fileUrl}`);
+            return res.json(response);
+        } catch (err) {
+            if (err.status) {
+                // Rejected uploads can't be fixed by resuming, so drop them
+                await PendingUpload.deleteOne({ uploadId: pending.uploadId });
+                fs.promises.unlink(pending.tempPath).catch(() => {});
             }
+            return sendUploadError(res, err);
+        }
+    } catch (error) {
+        console.error('Error completing chunked upload:', error);
+        res.status(500).json({ error: 'Failed to complete upload' });
+    } finally {
+        if (completing) activeChunkWrites.delete(completing);
+    }
+});
+
+app.delete('/upload/chunked/:uploadId', async (req, res) => {
+    try {
+        const pending = await findPendingUpload(req, res);
+        if (!pending) return;
+        await PendingUpload.deleteOne({ uploadId: pending.uploadId });
+        fs.promises.unlink(pending.tempPath).catch(() => {});
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error cancelling chunked upload:', error);
+        res.status(500).json({ error: 'Failed to cancel upload' });
+    }
+});
+
+// Temp files of uploads, imports, metadata stripping, thumbnails and encryption that were left behind, e.g. by a crash
+const TEMP_FILE_PATTERN = /^upload-\d+-[0-9a-f]+\.tmp$|^import-[0-9a-f]+\.|^thumb-[0-9a-f]+\.|\.strip$|\.enc$/;
+
+async function removeStaleTempFiles() {
+    const cutoff = Date.now() - PENDING_UPLOAD_TTL;
+    let removed = 0;
+    for (const name of await fs.promises.readdir(uploadDir)) {
+        if (!TEMP_FILE_PATTERN.test(name)) continue;
+        const filePath = path.join(uploadDir, name);
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        if (!stats || !stats.isFile() || stats.mtimeMs > cutoff) continue;
+        // Files stored before content addressing live here too
+        if (await File.findOne({ storedName: name })) continue;
+        await fs.promises.unlink(filePath).catch(() => {});
+        removed++;
+    }
+    if (removed > 0) {
+        console.log(`Removed ${removed} stale temp files`);
+    }
+}
+
+// Clean up chunked uploads that have not received data for a day
+setInterval(async () => {
+    try {
+        const stale = await PendingUpload.find({ updatedAt: { $lt: new Date(Date.now() - PENDING_UPLOAD_TTL) } });
+        for (const pending of stale) {
+            fs.promises.unlink(pending.tempPath).catch(() => {});
+            await PendingUpload.deleteOne({ uploadId: pending.uploadId });
         }
-        if (!req.file) {
-            console.error('No file in request');
-            return res.status(400).json({ error: 'No file uploaded' });
+        if (stale.length > 0) {
+            console.log(`Removed ${stale.length} stale chunked uploads`);
         }
-        const ip = getRealIp(req); // Extract real IP
-        const size = req.file.size;
-        console.log('Processing upload for:', req.file.originalname, 'from IP:', ip);
+        await removeStaleTempFiles();
+    } catch (error) {
+        console.error('Error cleaning up stale uploads:', error);
+    }
+}, 60 * 60 * 1000);
 
-        // Generate a unique shortId (or use custom name if provided)
-        let shortId;
-        let fileExists;
+// Import from URL: the server downloads a direct link (or a media page via yt-dlp) and
+// passes it through the normal upload pipeline. Jobs run in the background:
+// 1. POST /upload/url          -> { jobId }, body { url, mode: 'auto' | 'direct' | 'ytdlp', ...upload fields }
+// 2. GET  /upload/url/:jobId   -> { status: 'downloading' | 'processing' | 'done' | 'failed', progress, result, error }
+const importer = createImporter({
+    // Only for local testing - lets imports reach localhost and private networks
+    allowPrivateAddresses: process.env.ALLOW_PRIVATE_IMPORTS === 'true',
+    ytDlpPath: process.env.YTDLP_PATH || 'yt-dlp'
+});
+const importJobs = new Map();                  // key: jobId, value: job, see POST /upload/url
+const IMPORT_JOB_TTL = 60 * 60 * 1000;         // finished jobs are kept for an hour
+const MAX_IMPORTS_PER_IP = 3;                  // concurrent imports per IP (req.ip, see TRUST_PROXY)
+const IMPORT_MODES = ['auto', 'direct', 'ytdlp'];
 
-        if (req.body.customFilename && req.body.customFilename.length > 0) {
-            const customFilename = req.body.customFilename.trim();
-            console.log('Using custom filename:', customFilename);
+function getImportJobStatus(job) {
+    return {
+        jobId: job.id,
+        url: job.url,
+        status: job.status,
+        receivedBytes: job.receivedBytes,
+        totalBytes: job.totalBytes,
+        progress: job.progress,
+        result: job.result,
+        error: job.error
+    };
+}
 
-            // Use custom filename but ensure it's URL-safe
-            shortId = customFilename
-                .toLowerCase()
-                .replace(/[^a-z0-9]/g, '-') // Replace non-alphanumeric chars with hyphens
-                .replace(/-+/g, '-')        // Replace multiple hyphens with single hyphen
-                .replace(/^-|-$/g, '');     // Remove leading/trailing hyphens
+async function runImportJob(job, { mode, fields, isAdminRequest }) {
+    const tempBase = path.join(uploadDir, `import-${job.id}`);
+    let tempPath = `${tempBase}.tmp`;
+    const bypassSizeLimit = isAdminRequest && isFieldTrue(fields.bypassSizeLimit);
+    const maxBytes = bypassSizeLimit ? Infinity : maxFileSize * 1024 * 1024;
 
-            // Ensure the custom name is not empty after sanitization
-            if (!shortId) {
-                shortId = crypto.randomBytes(3).toString('hex');
-            } else {
-                // Check if custom name already exists
-                fileExists = await File.findOne({ shortId });
-                if (fileExists) {
-                    // Append random string to make it unique
-                    shortId = shortId + '-' + crypto.randomBytes(2).toString('hex');
+    try {
+        let download = null;
+        if (mode !== 'ytdlp') {
+            download = await importer.downloadDirect(job.url, tempPath, {
+                maxBytes,
+                htmlFallback: mode === 'auto',
+                onProgress: (received, total) => {
+                    job.receivedBytes = received;
+                    job.totalBytes = total;
+                    job.progress = total ? Math.round(received / total * 100) : null;
                 }
-            }
-        } else {
-            // Generate random name if no custom name provided
-            do {
-                shortId = crypto.randomBytes(3).toString('hex');
-                fileExists = await File.findOne({ shortId });
-            } while (fileExists);
-        }
-
-        const originalName = req.file.originalname;  // Original file name (with extension)
-        const extension = path.extname(originalName); // Get the file extension
-        const storedName = shortId + extension;      // New file name with extension
-        const oldPath = req.file.path;
-        // build absolute path for storage
-        const newPath = path.join(uploadDir, storedName);
-        console.log(`Renaming from ${req.file.path} to ${newPath}`);
-        await fs.promises.rename(req.file.path, newPath);
-        console.log('Rename successful');
-        // Save metadata
-        const fileIsPublic = req.body.isPublic === 'true';
-        const sessionKey = req.body.sessionKey;
-        console.log('Saving file with session key:', sessionKey);
-        
-        await new File({ 
-            originalName, 
-            storedName, 
-            path: newPath, 
-            shortId, 
-            size, 
-            ip, 
-            isPublic: fileIsPublic,
-            sessionKey 
-        }).save();
-        console.log('Metadata saved successfully');
-        return res.json({ fileUrl: `/${storedName}`, originalName });
+            });
+        }
+        if (!download || download.isHtml) {
+            download = await importer.downloadWithYtDlp(job.url, tempBase, {
+                maxBytes,
+                onProgress: (percent) => { job.progress = Math.round(percent); }
+            });
+            tempPath = download.filePath;
+        }
+
+        job.status = 'processing';
+        job.progress = 100;
+        const { response } = await finalizeUpload({
+            tempPath,
+            originalName: download.fileName,
+            size: download.size,
+            ip: job.ip,
+            fields,
+            isAdminRequest
+        });
+        job.status = 'done';
+        job.result = response;
+        console.log(`Imported ${job.url} as ${response.fileUrl}`);
     } catch (err) {
-        console.error('Upload handler error:', err.stack || err);
-        return res.status(500).json({ error: 'Internal server error: ' + err.message });
+        fs.promises.unlink(tempPath).catch(() => {});
+        job.status = 'failed';
+        job.error = err.status ? err.message : 'Import failed';
+        if (!err.status) {
+            console.error('Import error:', err);
+        }
+    } finally {
+        job.finishedAt = Date.now();
+    }
+}
+
+app.post('/upload/url', rateLimitMiddleware, checkBanMiddleware, async (req, res) => {
+    try {
+        const { url } = req.body;
+        const mode = req.body.mode || 'auto';
+        const fields = pickUploadFields(req.body);
+        const ip = req.ip;
+
+        if (!url || typeof url !== 'string') {
+            return res.status(400).json({ error: 'No URL provided' });
+        }
+        if (!IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({ error: 'Invalid import mode' });
+        }
+        // Reject what we can before downloading anything
+        try {
+            importer.checkUrl(url);
+            parseLifetimeFields(fields);
+            validatePasswordField(fields);
+            parseLinkProtectionFields(fields);
+        } catch (err) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        if (isFieldTrue(fields.isPublic) && !publicUploadsAllowed) {
+            return res.status(403).json({ error: 'Public uploads are currently disabled' });
+        }
+
+        const activeImports = [...importJobs.values()].filter(job => job.ip === ip && !job.finishedAt).length;
+        if (activeImports >= MAX_IMPORTS_PER_IP) {
+            return res.status(429).json({ error: 'Too many imports in progress' });
+        }
+
+        const job = {
+            id: crypto.randomBytes(8).toString('hex'),
+            url,
+            ip,
+            status: 'downloading',
+            receivedBytes: 0,
+            totalBytes: null,
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: Date.now(),
+            finishedAt: null
+        };
+        importJobs.set(job.id, job);
+        runImportJob(job, { mode, fields, isAdminRequest: isAdminPinRequest(req) });
+
+        res.status(202).json(getImportJobStatus(job));
+    } catch (error) {
+        console.error('Error starting import:', error);
+        res.status(500).json({ error: 'Failed to start import' });
     }
 });
 
+app.get('/upload/url/:jobId', (req, res) => {
+    const job = importJobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Import not found' });
+    }
+    res.json(getImportJobStatus(job));
+});
+
+// Forget finished import jobs after a while
+setInterval(() => {
+    const cutoff = Date.now() - IMPORT_JOB_TTL;
+    for (const [id, job] of importJobs) {
+        if (job.finishedAt && job.finishedAt < cutoff) {
+            importJobs.delete(id);
+        }
+    }
+}, 10 * 60 * 1000);
+
 // File deletion route
 app.delete('/delete/:shortId', async (req, res) => {
     const shortId = req.params.shortId;
@@ -447,16 +1974,614 @@ app.delete('/delete/:shortId', async (req, res) => {
     }
 
     await File.deleteOne({ shortId });
-    fs.unlink(file.path, (err) => {
-        if (err) {
-            console.error('Error deleting file:', err);
-            return res.status(500).json({ error: 'Error deleting file' });
+    try {
+        await releaseFile(file);
+    } catch (err) {
+        console.error('Error deleting file:', err);
+        return res.status(500).json({ error: 'Error deleting file' });
+    }
+    res.json({ message: 'File deleted successfully' });
+});
+
+// Pipe a stored object (or a byte range of it) to the response, throttled when `download` (see openDownload) is given.
+// HEAD requests get the headers only, so no data is read from the backend.
+async function streamFromStorage(req, res, storageKey, range, errorMessage, download) {
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    let stream;
+    try {
+        stream = await fileStorage.get(storageKey, range);
+    } catch (err) {
+        console.error('Stream error:', err);
+        return res.status(500).send(errorMessage);
+    }
+
+    if (download) {
+        stream = download.throttle(stream);
+    }
+    stream.pipe(res);
+    stream.on('error', (err) => {
+        console.error('Stream error:', err);
+        if (!res.headersSent) {
+            res.status(500).send(errorMessage);
+        } else {
+            res.destroy(err);
+        }
+    });
+    // Stop reading from the backend if the client goes away mid-download
+    res.on('close', () => stream.destroy());
+}
+
+// Bandwidth and parallel stream limits per IP, from the admin settings. The IP is req.ip: the peer's
+// address, or the client's from X-Forwarded-For of a trusted proxy (TRUST_PROXY), so it can't be made up.
+const downloadLimiter = createDownloadLimiter(() => ({
+    bytesPerSecond: downloadBandwidthKB * 1024,
+    maxStreams: maxParallelDownloads
+}));
+
+// Downloads from exempt IPs, by clients sending an exempt session key in X-Session-Key
+// and of files that were all uploaded in exempt sessions are not limited
+function isDownloadLimitExempt(req, files) {
+    const sessionKey = req.headers['x-session-key'];
+    return downloadLimitExemptIps.includes(req.ip) ||
+        (!!sessionKey && downloadLimitExemptSessions.includes(sessionKey)) ||
+        files.every(file => !!file.sessionKey && downloadLimitExemptSessions.includes(file.sessionKey));
+}
+
+// Take a download slot of the client for sending `files`, given back when the response is over.
+// Returns the slot ({ throttle(stream) }), or null after answering 429 when the client has too many downloads running.
+function openDownload(req, res, files) {
+    if (req.method === 'HEAD' || isDownloadLimitExempt(req, files)) {
+        return { throttle: stream => stream };
+    }
+    const download = downloadLimiter.open(req.ip);
+    if (!download) {
+        res.setHeader('Retry-After', '5');
+        res.status(429).send('Too many downloads at once - try again when one of them has finished');
+        return null;
+    }
+    res.on('close', download.release);
+    return download;
+}
+
+// Download statistics are gathered in memory and written to DownloadStat every minute
+const DOWNLOAD_STATS_FLUSH_INTERVAL = 60 * 1000;
+const downloadCounter = createDownloadCounter();
+
+// Record a GET response of a file in the download statistics once it is over. `partial` marks
+// requests for a part of the file (HLS segments, archive entries), range requests are recognized
+// by their status. Responses carrying several files (zips) pass `sent` ({ bytes, complete }) for
+// each, filled in as the file goes out; files the response never got to are not recorded.
+function trackDownload(req, res, file, { partial = false, sent = null } = {}) {
+    if (req.method !== 'GET') {
+        return;
+    }
+    const socket = req.socket;
+    const bytesBefore = socket.bytesWritten;
+    res.on('close', () => {
+        if (res.statusCode !== 200 && res.statusCode !== 206) {
+            return;
+        }
+        if (sent && !sent.bytes && !sent.complete) {
+            return;
         }
-        res.json({ message: 'File deleted successfully' });
+        downloadCounter.record({
+            shortId: file.shortId,
+            fileName: file.originalName,
+            ip: req.ip, // the client's address, see TRUST_PROXY
+            bytes: sent ? sent.bytes : socket.bytesWritten - bytesBefore,
+            partial: partial || res.statusCode === 206,
+            complete: res.writableFinished && (!sent || sent.complete)
+        });
     });
+}
+
+// Download totals of a file for its owner. Records from before the upload belong to an older file with the same short ID.
+async function getFileDownloadStats(file) {
+    const records = await DownloadStat.find({
+        shortId: file.shortId,
+        hour: { $gte: getBucketStart(new Date(file.uploadDate).getTime()) }
+    });
+    const lastHour = records.reduce((last, record) => Math.max(last, new Date(record.hour).getTime()), 0);
+    return { ...sumDownloadStats(records), lastDownloadHour: lastHour ? new Date(lastHour) : null };
+}
+
+async function flushDownloadStats() {
+    for (const counts of downloadCounter.drain()) {
+        const { shortId, fileName, hour, ...increments } = counts;
+        await DownloadStat.updateOne(
+            { shortId, hour },
+            { $set: { fileName }, $inc: increments },
+            { upsert: true }
+        );
+    }
+}
+
+setInterval(() => {
+    flushDownloadStats().catch(err => console.error('Error saving download statistics:', err));
+}, DOWNLOAD_STATS_FLUSH_INTERVAL);
+
+// Whether a range request's If-Range condition holds, i.e. it names the current version of the file by
+// its ETag (strong comparison) or Last-Modified date. Otherwise the Range is ignored and the whole file sent.
+function isIfRangeFresh(req, fileETag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return !fileETag.startsWith('W/') && ifRange === fileETag;
+    }
+    // HTTP dates have whole seconds
+    return Date.parse(ifRange) === Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+// Send several ranges of a stored file as a multipart/byteranges response
+async function sendMultipartRanges(req, res, storageKey, ranges, size, contentType, download) {
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const parts = ranges.map(({ start, end }, index) => ({
+        start,
+        end,
+        header: Buffer.from(`${index ? '\r\n' : ''}--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`)
+    }));
+    const closing = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+    res.status(206);
+    res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.setHeader('Content-Length', parts.reduce((length, part) => length + part.header.length + part.end - part.start + 1, closing.length));
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    async function* generate() {
+        for (const part of parts) {
+            yield part.header;
+            yield* await fileStorage.get(storageKey, { start: part.start, end: part.end });
+        }
+        yield closing;
+    }
+    try {
+        await pipeline(download.throttle(Readable.from(generate())), res);
+    } catch (err) {
+        // The client went away, or storage failed after the headers were sent
+        if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Stream error:', err);
+        }
+        res.destroy();
+    }
+}
+
+// Download page of end-to-end encrypted files. The key is in the URL fragment, which browsers
+// don't send, so the page fetches the ciphertext and decrypts it with the key in the browser.
+app.get('/e/:shortId', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId, e2eEncrypted: true });
+        if (!file) {
+            return res.status(404).send(renderMessagePage({ title: 'File not found', message: 'There is no encrypted file at this link.' }));
+        }
+
+        const unavailableReason = getFileUnavailableReason(file);
+        if (unavailableReason) {
+            return sendUnavailablePage(res, file, unavailableReason);
+        }
+
+        // Password, scan and download limit checks happen when the page fetches the file
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('Referrer-Policy', 'no-referrer');
+        res.send(renderDecryptPage({
+            shortId: file.shortId,
+            fileUrl: `/${file.storedName}`,
+            size: file.size,
+            passwordProtected: !!file.passwordHash
+        }));
+    } catch (error) {
+        console.error('Encrypted file page error:', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+// Listing page of an archive with download links for its entries
+app.get('/a/:shortId', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId });
+        if (!file || !canBrowseArchive(file)) {
+            return res.status(404).send(renderMessagePage({ title: 'Archive not found', message: 'This link does not point to a zip or tar archive.' }));
+        }
+        if (sendFileBlockedPage(req, res, file)) {
+            return;
+        }
+        if (!isHotlinkAllowed(req, file)) {
+            return sendHotlinkBlocked(res);
+        }
+        setFrameAncestors(res, file);
+
+        let listing;
+        try {
+            listing = await getArchiveListing(file);
+        } catch (err) {
+            if (!err.archiveError) throw err;
+            return res.status(422).send(renderMessagePage({ title: 'Archive can\'t be read', message: err.message }));
+        }
+        if (!listing) {
+            return res.status(404).send(renderMessagePage({ title: 'Archive not found', message: 'The file is missing from storage.' }));
+        }
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.send(renderArchivePage({
+            shortId: file.shortId,
+            fileName: file.originalName,
+            fileUrl: `/${file.storedName}`,
+            ...listing
+        }));
+    } catch (error) {
+        console.error('Archive page error:', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+// Up to `limit` bytes from the start of a stored file of `size` bytes, as UTF-8 text
+async function readStoredText(key, size, limit) {
+    const chunks = [];
+    for await (const chunk of await fileStorage.get(key, size > limit ? { start: 0, end: limit - 1 } : {})) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Snippet viewer and raw text. Both send the whole snippet, so every view counts as a download
+// of snippets with a download limit. The raw text is also subject to the download limits per IP.
+// Resolves with { file, text, download }, or null once an error page was sent.
+async function loadSnippet(req, res, { raw = false } = {}) {
+    const file = await File.findOne({ shortId: req.params.shortId, snippet: true });
+    if (!file) {
+        res.status(404).send(renderMessagePage({ title: 'Snippet not found', message: 'There is no snippet at this link.' }));
+        return null;
+    }
+    if (sendFileBlockedPage(req, res, file)) {
+        return null;
+    }
+    if (!isHotlinkAllowed(req, file)) {
+        sendHotlinkBlocked(res);
+        return null;
+    }
+    setFrameAncestors(res, file);
+
+    const key = getStorageKey(file);
+    const stats = await fileStorage.stat(key);
+    if (!stats) {
+        res.status(404).send(renderMessagePage({ title: 'Snippet not found', message: 'The snippet is missing from storage.' }));
+        return null;
+    }
+
+    // Before the download is counted, so a refused one doesn't use it up
+    const download = raw ? openDownload(req, res, [file]) : null;
+    if (raw && !download) {
+        return null;
+    }
+
+    const downloadLimit = getDownloadLimit(file);
+    if (downloadLimit && req.method === 'GET' && !await claimResponseDownload(res, file)) {
+        return null;
+    }
+
+    const text = await readStoredText(key, stats.size, MAX_SNIPPET_SIZE);
+    res.setHeader('Cache-Control', downloadLimit || file.expiresAt || file.passwordHash ? 'private, no-store' : 'private, no-cache');
+    return { file, text, download };
+}
+
+app.get('/p/:shortId', async (req, res) => {
+    try {
+        const snippet = await loadSnippet(req, res);
+        if (!snippet) return;
+        const { file, text } = snippet;
+        res.send(renderSnippetPage({
+            fileName: file.originalName,
+            language: file.language || null,
+            languageLabel: getSnippetLanguageLabel(file.language),
+            text,
+            rawUrl: `/p/${file.shortId}/raw`,
+            // A limited snippet was used up by opening this page, so there is nothing left to link to
+            downloadUrl: getDownloadLimit(file) ? null : `/${file.storedName}`,
+            uploadDate: file.uploadDate
+        }));
+    } catch (error) {
+        console.error('Snippet page error:', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+app.get('/p/:shortId/raw', async (req, res) => {
+    try {
+        const snippet = await loadSnippet(req, res, { raw: true });
+        if (!snippet) return;
+        trackDownload(req, res, snippet.file);
+        const data = Buffer.from(snippet.text);
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Length', data.length);
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+        await pipeline(snippet.download.throttle(Readable.from([data])), res).catch(() => res.destroy());
+    } catch (error) {
+        console.error('Raw snippet error:', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+// Link previews for chat apps and social networks (see lib/link-preview.js). Their crawlers get meta tags
+// instead of the file; the media URLs in the tags carry ?raw=1, which always serves the file. Media of
+// protected, limited and encrypted files is left out, since fetching it would use up a download or show nothing.
+// Files with hotlink protection get no player, it would show them on any site.
+const LINK_PREVIEW_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const LINK_PREVIEW_IMAGE_MAX_SIZE = 5 * 1024 * 1024; // larger images are shown by their thumbnail
+const EMBED_MAX_SIZE = 640;
+const EMBED_VIDEO_SIZE = { width: 640, height: 360 }; // when the video's dimensions are not known
+const EMBED_AUDIO_SIZE = { width: 480, height: 80 };
+
+// Origin of absolute links: PUBLIC_URL, or the host the request was sent to. The forwarded host
+// only counts from a trusted proxy (see TRUST_PROXY), anyone else could point the links elsewhere.
+function getPublicOrigin(req) {
+    if (process.env.PUBLIC_URL) {
+        return process.env.PUBLIC_URL.replace(/\/+$/, '');
+    }
+    const forwardedHost = app.get('trust proxy fn')(req.socket.remoteAddress, 0) && req.headers['x-forwarded-host'];
+    const host = String(forwardedHost || req.get('host')).split(',')[0].trim();
+    return `${req.protocol}://${host}`;
+}
+
+// { kind, image, video, audio, player } of a file's link preview, with absolute URLs; see getLinkPreviewTags
+async function getLinkPreviewMedia(req, file) {
+    const media = { kind: null, image: null, video: null, audio: null, player: null };
+    if (file.e2eEncrypted || file.passwordHash || getDownloadLimit(file) || requiresSignedUrl(file)) {
+        return media;
+    }
+
+    const origin = getPublicOrigin(req);
+    const type = getFileContentType(file);
+    const blob = file.blobHash ? await Blob.findOne({ hash: file.blobHash }) : null;
+    const dimensions = blob && blob.width && blob.height ? { width: blob.width, height: blob.height } : null;
+    const thumbnailUrl = blob && blob.thumbnail === 'ready' ? getThumbnailUrl(file) : null;
+    const thumbnail = thumbnailUrl ? {
+        url: origin + thumbnailUrl,
+        type: THUMBNAIL_CONTENT_TYPE,
+        ...(dimensions ? getThumbnailDimensions(dimensions.width, dimensions.height) : {})
+    } : null;
+    const rawUrl = `${origin}/${file.storedName}?raw=1`;
+    const embedUrl = getAllowedReferers(file).length ? null : `${origin}/embed/${file.shortId}`;
+
+    if (type.startsWith('image/')) {
+        media.kind = 'image';
+        media.image = LINK_PREVIEW_IMAGE_TYPES.includes(type) && file.size <= LINK_PREVIEW_IMAGE_MAX_SIZE
+            ? { url: rawUrl, type, ...dimensions }
+            : thumbnail;
+    } else if (type.startsWith('video/')) {
+        media.kind = 'video';
+        media.video = { url: rawUrl, type, ...dimensions };
+        media.image = thumbnail;
+        media.player = embedUrl && {
+            url: embedUrl,
+            ...(dimensions ? fitDimensions(dimensions.width, dimensions.height, EMBED_MAX_SIZE, EMBED_MAX_SIZE) : EMBED_VIDEO_SIZE)
+        };
+    } else if (type.startsWith('audio/')) {
+        media.kind = 'audio';
+        media.audio = { url: rawUrl, type };
+        media.player = embedUrl && { url: embedUrl, ...EMBED_AUDIO_SIZE };
+    }
+    return media;
+}
+
+function getLinkPreviewDescription(file) {
+    if (file.e2eEncrypted) {
+        return 'End-to-end encrypted file on OhioFiles';
+    }
+    return `${getFileContentType(file)} • ${formatSize(file.size)} • shared on OhioFiles`;
+}
+
+// { tags, oembedUrl } of the link preview of `pagePath` (the file or its landing page)
+async function getLinkPreview(req, file, pagePath) {
+    const origin = getPublicOrigin(req);
+    const pageUrl = origin + pagePath;
+    const media = await getLinkPreviewMedia(req, file);
+    return {
+        tags: getLinkPreviewTags({
+            siteName: 'OhioFiles',
+            title: file.originalName,
+            description: getLinkPreviewDescription(file),
+            pageUrl,
+            ...media
+        }),
+        oembedUrl: `${origin}/api/oembed?url=${encodeURIComponent(pageUrl)}&format=json`
+    };
+}
+
+// Player of a video or audio file for the iframes of Twitter player cards and oEmbed
+app.get('/embed/:shortId', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId });
+        if (!file) {
+            return res.status(404).send(renderMessagePage({ title: 'File not found', message: 'There is no file at this link.' }));
+        }
+        if (sendFileBlockedPage(req, res, file)) {
+            return;
+        }
+        if (!isHotlinkAllowed(req, file)) {
+            return sendHotlinkBlocked(res);
+        }
+        const media = await getLinkPreviewMedia(req, file);
+        if (!media.player) {
+            return res.status(404).send(renderMessagePage({ title: 'Nothing to play', message: 'This file can\'t be embedded.' }));
+        }
+        res.setHeader('Cache-Control', file.expiresAt ? 'private, no-store' : 'private, no-cache');
+        res.send(renderEmbedPage({
+            title: file.originalName,
+            kind: media.kind,
+            url: `/${file.storedName}?raw=1`,
+            posterUrl: media.image && media.image.url
+        }));
+    } catch (error) {
+        console.error('Embed page error:', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+// oEmbed (https://oembed.com) of links to a file, its landing page or its snippet viewer
+const OEMBED_PATH_PATTERN = /^\/(?:(?:v|p|e|embed)\/)?([^/]+)$/;
+
+function parseOEmbedDimension(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+app.get('/api/oembed', async (req, res) => {
+    try {
+        if (req.query.format && req.query.format !== 'json') {
+            return res.status(501).json({ error: 'Only the json format is supported' });
+        }
+        let match;
+        try {
+            match = new URL(String(req.query.url || '')).pathname.match(OEMBED_PATH_PATTERN);
+        } catch (err) {
+            return res.status(400).json({ error: 'Invalid url' });
+        }
+        const file = match && await File.findOne({ shortId: path.basename(match[1], path.extname(match[1])) });
+        if (!file || getFileUnavailableReason(file) || getScanBlockReason(file)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (requiresSignedUrl(file)) {
+            return res.status(403).json({ error: 'Signed URL required' });
+        }
+        if (file.passwordHash) {
+            return res.status(401).json({ error: 'Password required' });
+        }
+
+        const maxWidth = parseOEmbedDimension(req.query.maxwidth);
+        const maxHeight = parseOEmbedDimension(req.query.maxheight);
+        const media = await getLinkPreviewMedia(req, file);
+        const origin = getPublicOrigin(req);
+        const response = {
+            version: '1.0',
+            type: 'link',
+            title: file.originalName,
+            provider_name: 'OhioFiles',
+            provider_url: origin,
+            cache_age: 3600
+        };
+        if (media.image) {
+            response.thumbnail_url = media.image.url;
+            if (media.image.width) {
+                response.thumbnail_width = media.image.width;
+                response.thumbnail_height = media.image.height;
+            }
+        }
+        if (media.kind === 'image' && media.image && media.image.width) {
+            Object.assign(response, { type: 'photo', url: media.image.url },
+                fitDimensions(media.image.width, media.image.height, maxWidth, maxHeight));
+        } else if (media.player) {
+            // The audio player only gets narrower, its controls need the height
+            const { width, height } = media.kind === 'audio'
+                ? { width: Math.min(media.player.width, maxWidth || Infinity), height: media.player.height }
+                : fitDimensions(media.player.width, media.player.height, maxWidth, maxHeight);
+            Object.assign(response, {
+                type: media.kind === 'video' ? 'video' : 'rich',
+                html: `<iframe src="${escapeHtml(media.player.url)}" width="${width}" height="${height}" frameborder="0" allowfullscreen></iframe>`,
+                width,
+                height
+            });
+        }
+        // Without PUBLIC_URL the links follow the Host header, which shared caches don't key on
+        res.setHeader('Cache-Control', process.env.PUBLIC_URL ? 'public, max-age=3600' : 'private, max-age=3600');
+        res.json(response);
+    } catch (error) {
+        console.error('oEmbed error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Landing page of a file (/v/:shortId) with its details, a preview that suits the type and a
+// download button. Opening the page must not use up a download, so limited files get no preview.
+const MAX_PREVIEW_TEXT = 256 * 1024;
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const TEXT_PREVIEW_TYPES = ['application/json', 'application/javascript', 'application/xml', 'application/x-sh'];
+
+// 'image' / 'video' / 'audio' / 'pdf' / 'markdown' / 'text', or null when there is nothing to show
+function getPreviewKind(file) {
+    if (getDownloadLimit(file)) return null;
+    const type = getFileContentType(file);
+    if (type.startsWith('image/')) return 'image';
+    if (type.startsWith('video/')) return 'video';
+    if (type.startsWith('audio/')) return 'audio';
+    if (type === 'application/pdf') return 'pdf';
+    if (type.startsWith('text/') || TEXT_PREVIEW_TYPES.includes(type)) {
+        const extension = path.extname(file.originalName).toLowerCase();
+        return type === 'text/markdown' || MARKDOWN_EXTENSIONS.includes(extension) ? 'markdown' : 'text';
+    }
+    return null;
+}
+
+app.get('/v/:shortId', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId });
+        if (!file) {
+            return res.status(404).send(renderMessagePage({ title: 'File not found', message: 'There is no file at this link.' }));
+        }
+        // These have pages of their own; the redirect keeps the key in the fragment of encrypted links
+        if (file.e2eEncrypted) {
+            return res.redirect(`/e/${file.shortId}`);
+        }
+        if (file.snippet && !getDownloadLimit(file)) {
+            return res.redirect(`/p/${file.shortId}`);
+        }
+        if (sendFileBlockedPage(req, res, file)) {
+            return;
+        }
+        if (!isHotlinkAllowed(req, file)) {
+            return sendHotlinkBlocked(res);
+        }
+        setFrameAncestors(res, file);
+
+        const key = getStorageKey(file);
+        const stats = await fileStorage.stat(key);
+        if (!stats) {
+            return res.status(404).send(renderMessagePage({ title: 'File not found', message: 'The file is missing from storage.' }));
+        }
+
+        // Signed links keep working for the file the page loads
+        const fileUrl = `/${file.storedName}${getSignatureQuery(req, file)}`;
+        const kind = getPreviewKind(file);
+        let preview = null;
+        if (kind === 'markdown' || kind === 'text') {
+            preview = {
+                kind,
+                text: await readStoredText(key, stats.size, MAX_PREVIEW_TEXT),
+                truncated: stats.size > MAX_PREVIEW_TEXT,
+                extension: path.extname(file.originalName).slice(1).toLowerCase()
+            };
+        } else if (kind) {
+            preview = { kind, url: fileUrl, thumbnailUrl: getThumbnailUrl(file) };
+        }
+
+        res.setHeader('Cache-Control', getDownloadLimit(file) || file.expiresAt || file.passwordHash || requiresSignedUrl(file)
+            ? 'private, no-store'
+            : 'private, no-cache');
+        res.send(renderFilePage({
+            fileName: file.originalName,
+            contentType: getFileContentType(file),
+            size: stats.size,
+            uploadDate: file.uploadDate,
+            fileUrl,
+            archiveUrl: canBrowseArchive(file) ? `/a/${file.shortId}` : null,
+            preview,
+            linkPreview: await getLinkPreview(req, file, `/v/${file.shortId}`)
+        }));
+    } catch (error) {
+        console.error('File page error:', error);
+        res.status(500).send('Internal server error');
+    }
 });
 
 // File preview route - Enhanced with caching and streaming support
+const MAX_RANGES = 50; // more ranges in one request are answered with the whole file
 app.get('/:storedName', async (req, res, next) => {
   // skip admin base path
   if (req.params.storedName.toLowerCase() === 'admin') return next();
@@ -470,27 +2595,55 @@ app.get('/:storedName', async (req, res, next) => {
            return res.status(404).send('File not found');
        }
 
-       const filePath = path.resolve(file.path);
-       
-       // Check if file exists on disk
-       if (!fs.existsSync(filePath)) {
+       if (sendFileBlockedPage(req, res, file)) {
+           return;
+       }
+       if (!isHotlinkAllowed(req, file)) {
+           return sendHotlinkBlocked(res);
+       }
+
+       // Link preview crawlers get a card instead of the file, without using up a download.
+       // Caches key on the URL only, so the card must not be stored.
+       // HEAD gets the same answer as GET, so crawlers checking the type first see the card's headers
+       if (!req.query.raw && isLinkPreviewCrawler(req.headers['user-agent'])) {
+           res.setHeader('Cache-Control', 'no-store');
+           return res.send(renderLinkPreviewPage({
+               title: file.originalName,
+               description: getLinkPreviewDescription(file),
+               pageUrl: `/v/${file.shortId}`,
+               linkPreview: await getLinkPreview(req, file, `/${file.storedName}`)
+           }));
+       }
+
+       const storageKey = getStorageKey(file);
+       const stats = await fileStorage.stat(storageKey);
+
+       // Check if file exists in storage
+       if (!stats) {
            return res.status(404).send('File not found on disk');
        }
 
-       const stats = fs.statSync(filePath);
-       const mimeType = getOptimizedMimeType(file.originalName);
-       const supportsRanges = supportsRangeRequests(mimeType);
+       const mimeType = getFileContentType(file);
+       const downloadLimit = getDownloadLimit(file);
+       // Files with a download limit are always sent whole, so one request is one download
+       const supportsRanges = !downloadLimit;
        
-       // Generate ETag based on file stats
-       const fileETag = etag(stats);
+       // Generate ETag based on file content (or stats for older files)
+       const fileETag = getFileETag(file, stats);
+       const lastModified = getFileLastModified(file, stats);
        
        // Set caching headers
        res.setHeader('ETag', fileETag);
+       res.setHeader('Last-Modified', lastModified.toUTCString());
        res.setHeader('Content-Type', mimeType);
+       res.setHeader('X-Content-Type-Options', 'nosniff');
        res.setHeader('Content-Disposition', `inline; filename="${file.originalName}"`);
        
        // Set cache headers based on file type
-       if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) {
+       if (downloadLimit || file.expiresAt || file.passwordHash || requiresSignedUrl(file)) {
+           // Caches must not serve limited, expiring or protected files on our behalf
+           res.setHeader('Cache-Control', 'private, no-store');
+       } else if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) {
            res.setHeader('Cache-Control', 'public, max-age=2592000, immutable'); // 30 days for media
        } else if (mimeType.startsWith('image/')) {
            res.setHeader('Cache-Control', 'public, max-age=604800, immutable'); // 7 days for images
@@ -498,69 +2651,60 @@ app.get('/:storedName', async (req, res, next) => {
            res.setHeader('Cache-Control', 'public, max-age=86400, immutable'); // 1 day for other files
        }
        
-       // Only set Accept-Ranges for files that support it
-       if (supportsRanges) {
-           res.setHeader('Accept-Ranges', 'bytes');
+       // Shared caches must not hand a file with hotlink protection to other sites
+       if (getAllowedReferers(file).length) {
+           res.vary('Referer');
        }
        
-       // Check if client has cached version (304 Not Modified)
-       if (fresh(req.headers, { etag: fileETag })) {
+       // Any file can be read in ranges (resuming downloads, seeking in media) except limited ones
+       res.setHeader('Accept-Ranges', supportsRanges ? 'bytes' : 'none');
+       
+       // Check if client has cached version (304 Not Modified); If-None-Match wins over If-Modified-Since
+       if (fresh(req.headers, { etag: fileETag, 'last-modified': res.getHeader('Last-Modified') })) {
            return res.status(304).end();
        }
 
-       // Handle Range requests for streaming (videos, large files)
-       const range = req.headers.range;
-       
-       if (range && supportsRanges) {
-           // Parse range header
-           const ranges = rangeParser(stats.size, range, { combine: true });
-           
-           if (ranges === -1) {
-               // Invalid range
-               res.setHeader('Content-Range', `bytes */${stats.size}`);
-               return res.status(416).send('Range Not Satisfiable');
-           }
-           
-           if (ranges === -2) {
-               // Malformed range - serve full file
-               res.setHeader('Content-Length', stats.size);
-               return fs.createReadStream(filePath).pipe(res);
+       // Ranges of another unit than bytes, or too many of them, are ignored and the whole file is sent
+       let ranges = -2;
+       if (supportsRanges && req.headers.range && isIfRangeFresh(req, fileETag, lastModified)) {
+           ranges = rangeParser(stats.size, req.headers.range, { combine: true });
+           if (Array.isArray(ranges) && (ranges.type !== 'bytes' || ranges.length > MAX_RANGES)) {
+               ranges = -2;
            }
-           
-           // Valid range request
-           const { start, end } = ranges[0];
-           const chunkSize = (end - start) + 1;
-           
-           res.status(206); // Partial Content
-           res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
-           res.setHeader('Content-Length', chunkSize);
-           
-           // Create read stream for the requested range
-           const stream = fs.createReadStream(filePath, { start, end });
-           stream.pipe(res);
-           
-           stream.on('error', (err) => {
-               console.error('Stream error:', err);
-               if (!res.headersSent) {
-                   res.status(500).send('Error streaming file');
-               }
-           });
-           
-       } else {
-           // No range request - serve full file
+       }
+       if (ranges === -1) {
+           res.setHeader('Content-Range', `bytes */${stats.size}`);
+           return res.status(416).end();
+       }
+
+       // Before the download is counted, so a refused stream doesn't use one up
+       const download = openDownload(req, res, [file]);
+       if (!download) {
+           return;
+       }
+
+       // Every request for a limited file is a download
+       if (downloadLimit && req.method === 'GET' && !await claimResponseDownload(res, file)) {
+           return;
+       }
+       
+       trackDownload(req, res, file);
+       
+       if (ranges === -2) {
+           // No (usable) range - serve full file
            res.setHeader('Content-Length', stats.size);
-           
-           const stream = fs.createReadStream(filePath);
-           stream.pipe(res);
-           
-           stream.on('error', (err) => {
-               console.error('Stream error:', err);
-               if (!res.headersSent) {
-                   res.status(500).send('Error serving file');
-               }
-           });
+           return streamFromStorage(req, res, storageKey, {}, 'Error serving file', download);
+       }
+       if (ranges.length > 1) {
+           return sendMultipartRanges(req, res, storageKey, ranges, stats.size, mimeType, download);
        }
        
+       const { start, end } = ranges[0];
+       res.status(206); // Partial Content
+       res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+       res.setHeader('Content-Length', end - start + 1);
+       await streamFromStorage(req, res, storageKey, { start, end }, 'Error streaming file', download);
+       
    } catch (error) {
        console.error('File serving error:', error);
        res.status(500).send('Internal server error');
@@ -593,10 +2737,13 @@ app.post('/api/admin/rename', async (req, res) => {
     if (!file) return res.status(404).json({ error: 'File not found' });
     const ext = path.extname(file.storedName);
     const newStored = newName + ext;
-    const newPath = path.join('uploads', newStored);
-    fs.renameSync(file.path, newPath);
+    // Content-addressed files are named by hash on disk, only the URL changes
+    if (!file.blobHash) {
+        const newPath = path.join('uploads', newStored);
+        fs.renameSync(file.path, newPath);
+        file.path = newPath;
+    }
     file.storedName = newStored;
-    file.path = newPath;
     await file.save();
     res.json({ success: true });
 });
@@ -605,7 +2752,7 @@ app.delete('/api/admin/files/:shortId', async (req, res) => {
     const { shortId } = req.params;
     const file = await File.findOne({ shortId }); if (!file) return res.status(404).json({ error: 'File not found' });
     await File.deleteOne({ shortId });
-    fs.unlinkSync(file.path);
+    await releaseFile(file);
     res.json({ success: true });
 });
 // List users (distinct IPs)
@@ -631,6 +2778,21 @@ app.get('/api/admin/status', async (req, res) => {
             publicUploads: publicUploadsAllowed,
             requireCaptcha,
             logUploads,
+            sessionQuotaMB,
+            sessionQuotaFiles,
+            ipQuotaMB,
+            ipQuotaFiles,
+            allowedFileTypes,
+            blockedFileTypes,
+            hlsTranscoding,
+            downloadBandwidthKB,
+            maxParallelDownloads,
+            downloadLimitExemptIps,
+            downloadLimitExemptSessions,
+            activeDownloads: downloadLimiter.getActiveStreams(),
+            requireSignedUrls,
+            hotlinkAllowedReferers,
+            scanner: scanner ? scanner.name : null,
             disk,
             uptime: Math.floor(uptime),
             uptimeFormatted: formatUptime(uptime)
@@ -640,15 +2802,50 @@ app.get('/api/admin/status', async (req, res) => {
         res.status(500).json({ error: 'Failed to get status' });
     }
 });
+// IPs or session keys given as a list or a comma separated string
+function parseExemptionList(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+}
+
 // Update settings
 app.post('/api/admin/settings', (req, res) => {
     const { newLimit, pause, maxFileSize: newMaxSize, publicUploads, requireCaptcha: newCaptcha, logUploads: newLogging } = req.body;
+    // File type policy: lists of content types, "type/*" matches a whole group
+    const { allowedFileTypes: newAllowed, blockedFileTypes: newBlocked } = req.body;
+    const allowed = newAllowed !== undefined ? parseFileTypeList(newAllowed) : allowedFileTypes;
+    const blocked = newBlocked !== undefined ? parseFileTypeList(newBlocked) : blockedFileTypes;
+    if (!allowed || !blocked) {
+        return res.status(400).json({ error: 'File types must look like "image/png" or "video/*"' });
+    }
+    // Hotlink protection: sites that may embed files, empty to allow all
+    const referers = req.body.hotlinkAllowedReferers !== undefined ? parseHostList(req.body.hotlinkAllowedReferers) : hotlinkAllowedReferers;
+    if (!referers) {
+        return res.status(400).json({ error: 'Allowed sites must be host names like "example.com"' });
+    }
     if (typeof newLimit === 'number') uploadSpeedLimit = newLimit;
     if (typeof pause === 'boolean') techPause = pause;
     if (typeof newMaxSize === 'number') maxFileSize = newMaxSize;
     if (typeof publicUploads === 'boolean') publicUploadsAllowed = publicUploads;
     if (typeof newCaptcha === 'boolean') requireCaptcha = newCaptcha;
     if (typeof newLogging === 'boolean') logUploads = newLogging;
+    if (typeof req.body.hlsTranscoding === 'boolean') hlsTranscoding = req.body.hlsTranscoding;
+    // Quotas: 0 disables a limit
+    const { sessionQuotaMB: newSessionMB, sessionQuotaFiles: newSessionFiles, ipQuotaMB: newIpMB, ipQuotaFiles: newIpFiles } = req.body;
+    if (typeof newSessionMB === 'number' && newSessionMB >= 0) sessionQuotaMB = newSessionMB;
+    if (typeof newSessionFiles === 'number' && newSessionFiles >= 0) sessionQuotaFiles = newSessionFiles;
+    if (typeof newIpMB === 'number' && newIpMB >= 0) ipQuotaMB = newIpMB;
+    if (typeof newIpFiles === 'number' && newIpFiles >= 0) ipQuotaFiles = newIpFiles;
+    // Download limits: 0 disables a limit; exemptions are lists or comma separated strings
+    const { downloadBandwidthKB: newBandwidth, maxParallelDownloads: newParallel } = req.body;
+    if (typeof newBandwidth === 'number' && newBandwidth >= 0) downloadBandwidthKB = newBandwidth;
+    if (typeof newParallel === 'number' && newParallel >= 0) maxParallelDownloads = Math.floor(newParallel);
+    if (req.body.downloadLimitExemptIps !== undefined) downloadLimitExemptIps = parseExemptionList(req.body.downloadLimitExemptIps);
+    if (req.body.downloadLimitExemptSessions !== undefined) downloadLimitExemptSessions = parseExemptionList(req.body.downloadLimitExemptSessions);
+    if (typeof req.body.requireSignedUrls === 'boolean') requireSignedUrls = req.body.requireSignedUrls;
+    hotlinkAllowedReferers = referers;
+    allowedFileTypes = allowed;
+    blockedFileTypes = blocked;
     res.json({ success: true });
 });
 // Ban IP
@@ -677,15 +2874,57 @@ app.get('/api/admin/banned-ips', async (req, res) => {
 // Toggle file public/private status
 app.post('/api/admin/toggle-public', async (req, res) => {
     try {
-        const { shortId, isPublic } = req.body;
-        const file = await File.findOne({ shortId });
+        const { shortId, isPublic } = req.body;
+        const file = await File.findOne({ shortId });
+        if (!file) return res.status(404).json({ error: 'File not found' });
+        
+        file.isPublic = isPublic;
+        await file.save();
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update file status' });
+    }
+});
+
+// Quarantined files with the signature the scanner found (?status=pending lists files still waiting
+// for a scan, ?status=scan-failed those the scanner gave up on, with the last error)
+app.get('/api/admin/quarantine', async (req, res) => {
+    try {
+        const status = ['pending', 'scan-failed'].includes(req.query.status) ? req.query.status : 'infected';
+        const files = await File.find({ scanStatus: status }).sort({ uploadDate: -1 })
+            .select('shortId originalName storedName size ip sessionKey uploadDate scanStatus scanResult scanAttempts scannedAt');
+        res.json(files);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get quarantined files' });
+    }
+});
+
+// Release a quarantined file (false positive) or one that couldn't be scanned so it is served again
+app.post('/api/admin/quarantine/:shortId/release', async (req, res) => {
+    try {
+        const result = await File.updateOne(
+            { shortId: req.params.shortId, scanStatus: { $in: ['infected', 'scan-failed'] } },
+            { scanStatus: 'clean', scanResult: 'Released by admin', scannedAt: new Date() }
+        );
+        if (result.matchedCount === 0) return res.status(404).json({ error: 'File is not quarantined' });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to release file' });
+    }
+});
+
+// Scan a file again, e.g. after the virus definitions were updated
+app.post('/api/admin/quarantine/:shortId/rescan', async (req, res) => {
+    try {
+        if (!scanner) return res.status(400).json({ error: 'No scanner is configured' });
+        const file = await File.findOne({ shortId: req.params.shortId });
         if (!file) return res.status(404).json({ error: 'File not found' });
-        
-        file.isPublic = isPublic;
-        await file.save();
+
+        await File.updateOne({ _id: file._id }, { scanStatus: 'pending', scanAttempts: 0 });
+        queueScan(file);
         res.json({ success: true });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to update file status' });
+        res.status(500).json({ error: 'Failed to queue scan' });
     }
 });
 
@@ -695,15 +2934,8 @@ app.post('/api/admin/bulk-delete', async (req, res) => {
         const { fileIds } = req.body;
         const files = await File.find({ shortId: { $in: fileIds } });
         
-        for (const file of files) {
-            try {
-                fs.unlinkSync(file.path);
-            } catch (err) {
-                console.error('Error deleting file:', err);
-            }
-        }
-        
         await File.deleteMany({ shortId: { $in: fileIds } });
+        await releaseFiles(files);
         res.json({ success: true, deletedCount: files.length });
     } catch (error) {
         res.status(500).json({ error: 'Failed to delete files' });
@@ -715,15 +2947,8 @@ app.post('/api/admin/clear-all', async (req, res) => {
     try {
         const files = await File.find();
         
-        for (const file of files) {
-            try {
-                fs.unlinkSync(file.path);
-            } catch (err) {
-                console.error('Error deleting file:', err);
-            }
-        }
-        
         await File.deleteMany({});
+        await releaseFiles(files);
         res.json({ success: true, deletedCount: files.length });
     } catch (error) {
         res.status(500).json({ error: 'Failed to clear all files' });
@@ -828,32 +3053,39 @@ app.get('/api/admin/backup', async (req, res) => {
     }
 });
 
+// $group stage adding up the DownloadStat counters by `id`, so reports don't load every record
+function groupDownloadStats(id, fields = {}) {
+    const sums = Object.fromEntries(DOWNLOAD_COUNTERS.map(name => [name, { $sum: `$${name}` }]));
+    return { $group: { _id: id, ...fields, ...sums } };
+}
+
+// Start of an analytics period ('today', 'week', 'month'), or null for all time
+function getPeriodStart(period) {
+    const now = new Date();
+    if (period === 'today') {
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    } else if (period === 'week') {
+        return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    } else if (period === 'month') {
+        return new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
+    }
+    return null;
+}
+
 // Analytics data
 app.get('/api/admin/analytics', async (req, res) => {
     try {
         const { period = 'all' } = req.query;
-        let dateFilter = {};
-        
-        const now = new Date();
-        if (period === 'today') {
-            dateFilter.uploadDate = { $gte: new Date(now.getFullYear(), now.getMonth(), now.getDate()) };
-        } else if (period === 'week') {
-            const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-            dateFilter.uploadDate = { $gte: weekAgo };
-        } else if (period === 'month') {
-            const monthAgo = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-            dateFilter.uploadDate = { $gte: monthAgo };
-        }
+        const periodStart = getPeriodStart(period);
         
-        const files = await File.find(dateFilter);
+        const files = await File.find(periodStart ? { uploadDate: { $gte: periodStart } } : {});
         const totalSize = files.reduce((sum, f) => sum + f.size, 0);
         const uniqueIps = new Set(files.map(f => f.ip)).size;
         
         // File type distribution
         const fileTypes = {};
         files.forEach(f => {
-            const ext = f.storedName.split('.').pop().toLowerCase();
-            const type = getFileType(ext);
+            const type = getFileType(getFileContentType(f));
             fileTypes[type] = (fileTypes[type] || 0) + 1;
         });
         
@@ -864,6 +3096,16 @@ app.get('/api/admin/analytics', async (req, res) => {
             uploadTrends[date] = (uploadTrends[date] || 0) + 1;
         });
         
+        // Download totals and trends (by day), see /api/admin/downloads for single files
+        const downloadDays = await DownloadStat.aggregate([
+            { $match: periodStart ? { hour: { $gte: periodStart } } : {} },
+            groupDownloadStats({ $dateToString: { format: '%Y-%m-%d', date: '$hour' } })
+        ]);
+        const downloadTrends = {};
+        downloadDays.forEach(day => {
+            downloadTrends[day._id] = { downloads: day.downloads, bytes: day.bytes };
+        });
+        
         res.json({
             period,
             totalFiles: files.length,
@@ -871,13 +3113,54 @@ app.get('/api/admin/analytics', async (req, res) => {
             uniqueIps,
             fileTypes,
             uploadTrends,
-            averageFileSize: files.length > 0 ? totalSize / files.length : 0
+            averageFileSize: files.length > 0 ? totalSize / files.length : 0,
+            downloads: sumDownloadStats(downloadDays),
+            downloadTrends
         });
     } catch (error) {
         res.status(500).json({ error: 'Failed to get analytics data' });
     }
 });
 
+// Most downloaded files and the files that cost the most bandwidth in a period
+// Query: period ('today', 'week', 'month', 'all'), limit (default 10, at most 100)
+app.get('/api/admin/downloads', async (req, res) => {
+    try {
+        const { period = 'all' } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+        const periodStart = getPeriodStart(period);
+
+        const match = { $match: periodStart ? { hour: { $gte: periodStart } } : {} };
+        const byFile = groupDownloadStats('$shortId', { fileName: { $last: '$fileName' } });
+        const getTopFiles = async (sort) => (await DownloadStat.aggregate([match, byFile, { $sort: sort }, { $limit: limit }]))
+            .map(({ _id, fileName, ...counters }) => ({ shortId: _id, fileName, ...sumDownloadStats([counters]) }));
+        const [totals, fileCount, topByDownloads, topByBandwidth] = await Promise.all([
+            DownloadStat.aggregate([match, groupDownloadStats(null)]),
+            DownloadStat.aggregate([match, { $group: { _id: '$shortId' } }, { $count: 'files' }]),
+            getTopFiles({ downloads: -1, bytes: -1 }),
+            getTopFiles({ bytes: -1, downloads: -1 })
+        ]);
+
+        // Statistics outlive their files, so mark the ones that are gone
+        const listed = [...new Set([...topByDownloads, ...topByBandwidth].map(file => file.shortId))];
+        const existing = new Set((await File.find({ shortId: { $in: listed } })).map(file => file.shortId));
+        for (const file of [...topByDownloads, ...topByBandwidth]) {
+            file.deleted = !existing.has(file.shortId);
+        }
+
+        res.json({
+            period,
+            totals: sumDownloadStats(totals),
+            files: fileCount.length ? fileCount[0].files : 0,
+            topByDownloads,
+            topByBandwidth
+        });
+    } catch (error) {
+        console.error('Download statistics error:', error);
+        res.status(500).json({ error: 'Failed to get download statistics' });
+    }
+});
+
 // Helper function to format uptime
 function formatUptime(uptimeSeconds) {
     const days = Math.floor(uptimeSeconds / (24 * 60 * 60));
@@ -890,14 +3173,13 @@ function formatUptime(uptimeSeconds) {
 }
 
 // Helper function to get file type category
-function getFileType(ext) {
-    const imageExts = ['png', 'jpg', 'jpeg', 'gif', 'bmp', 'webp'];
-    const videoExts = ['mp4', 'webm', 'ogg', 'mov', 'mkv'];
-    const docExts = ['pdf', 'doc', 'docx', 'txt', 'rtf'];
+function getFileType(mimeType) {
+    const docTypes = ['application/pdf', 'application/msword', 'text/plain', 'application/rtf',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
     
-    if (imageExts.includes(ext)) return 'Images';
-    if (videoExts.includes(ext)) return 'Videos';
-    if (docExts.includes(ext)) return 'Documents';
+    if (mimeType.startsWith('image/')) return 'Images';
+    if (mimeType.startsWith('video/')) return 'Videos';
+    if (docTypes.includes(mimeType)) return 'Documents';
     return 'Other';
 }
 
@@ -923,7 +3205,14 @@ app.get('/api/session/:sessionKey/files', async (req, res) => {
             uploadDate: f.uploadDate,
             size: f.size,
             isPublic: f.isPublic,
-            sessionKey: f.sessionKey
+            sessionKey: f.sessionKey,
+            expiresAt: f.expiresAt,
+            maxDownloads: f.maxDownloads,
+            burnAfterRead: f.burnAfterRead,
+            downloadCount: f.downloadCount,
+            passwordProtected: !!f.passwordHash,
+            scanStatus: f.scanStatus,
+            e2eEncrypted: f.e2eEncrypted
         })));
     } catch (error) {
         console.error('Error fetching session files:', error);
@@ -931,6 +3220,20 @@ app.get('/api/session/:sessionKey/files', async (req, res) => {
     }
 });
 
+// Storage used by a session and its quota, for the Settings page
+app.get('/api/session/:sessionKey/usage', async (req, res) => {
+    try {
+        const { sessionKey } = req.params;
+        if (!sessionKey || sessionKey.length < 5 || sessionKey.length > 50 || !/^[a-zA-Z0-9]+$/.test(sessionKey)) {
+            return res.status(400).json({ error: 'Invalid session key' });
+        }
+        res.json(await getSessionUsage(sessionKey));
+    } catch (error) {
+        console.error('Error fetching session usage:', error);
+        res.status(500).json({ error: 'Failed to fetch session usage' });
+    }
+});
+
 // Store session file
 app.post('/api/session/store', async (req, res) => {
     try {
@@ -1012,6 +3315,164 @@ app.get('/api/session/:sessionKey/export', async (req, res) => {
     }
 });
 
+// Zip downloads of several files, streamed as they are read from storage
+const MAX_ZIP_FILES = 1000;
+const MAX_ZIP_IDS = 200;
+// Already compressed content is stored as it is, deflating it again only costs CPU
+const ZIP_STORED_TYPES = /^(image|video|audio)\/|^application\/(zip|gzip|x-7z-compressed|x-bzip2|x-xz|vnd\.rar)$/;
+
+// File name inside the zip: no directories, and a " (2)" suffix for names used before
+function getUniqueZipName(name, usedNames) {
+    const base = String(name || '').replace(/[\u0000-\u001f\u007f]/g, '').replace(/[\/\\]/g, '_').trim() || 'file';
+    const extension = path.extname(base);
+    const stem = base.slice(0, base.length - extension.length);
+    let candidate = base;
+    for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+        candidate = `${stem} (${n})${extension}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Why a file is left out of a zip download, or null. Download-limited files are left out
+// since a bulk download can't count them properly.
+function getZipSkipReason(req, file) {
+    if (file.e2eEncrypted) return 'end-to-end encrypted, open it through its own link';
+    if (getDownloadLimit(file)) return 'has a download limit';
+    const accessError = getFileApiError(req, file);
+    return accessError ? accessError.error.toLowerCase() : null;
+}
+
+// Stream a zip of `files`. Files that can't be included are listed in skipped-files.txt inside it.
+async function sendFilesAsZip(req, res, files, zipName) {
+    const usedNames = new Set();
+    const entries = [];
+    const skipped = [];
+    const sentFiles = []; // { file, sent } for the download statistics
+    for (const file of files.slice(0, MAX_ZIP_FILES)) {
+        const reason = getZipSkipReason(req, file);
+        const key = getStorageKey(file);
+        const stats = !reason && await fileStorage.stat(key);
+        if (!stats) {
+            skipped.push(`${file.originalName}: ${reason || 'missing from storage'}`);
+            continue;
+        }
+        const sent = { bytes: 0, complete: false };
+        sentFiles.push({ file, sent });
+        entries.push({
+            name: getUniqueZipName(file.originalName, usedNames),
+            date: file.uploadDate,
+            size: stats.size,
+            compress: !ZIP_STORED_TYPES.test(getFileContentType(file)),
+            open: async () => {
+                const data = await fileStorage.get(key);
+                data.on('data', chunk => { sent.bytes += chunk.length; });
+                data.on('end', () => { sent.complete = true; });
+                return data;
+            }
+        });
+    }
+    if (files.length > MAX_ZIP_FILES) {
+        skipped.push(`${files.length - MAX_ZIP_FILES} more files: one download holds at most ${MAX_ZIP_FILES} files`);
+    }
+    if (entries.length === 0) {
+        return res.status(404).json({ error: 'None of the files can be downloaded', skipped });
+    }
+    if (skipped.length > 0) {
+        const text = Buffer.from(`These files are not included:\n${skipped.join('\n')}\n`);
+        entries.push({
+            name: getUniqueZipName('skipped-files.txt', usedNames),
+            date: new Date(),
+            size: text.length,
+            compress: true,
+            open: async () => Readable.from([text])
+        });
+    }
+
+    const download = openDownload(req, res, files);
+    if (!download) {
+        return;
+    }
+
+    res.attachment(zipName);
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+    for (const { file, sent } of sentFiles) {
+        trackDownload(req, res, file, { sent });
+    }
+    const zip = download.throttle(createZipStream(entries));
+    zip.pipe(res);
+    zip.on('error', (err) => {
+        // The headers are out already; a cut-off download is the only signal left
+        console.error(`Zip download ${zipName} failed:`, err.message);
+        res.destroy(err);
+    });
+    res.on('close', () => zip.destroy());
+}
+
+// Comma separated shortIds from the query, in order and without duplicates
+function parseShortIdList(value) {
+    return [...new Set(String(value || '').split(',').map(id => id.trim()).filter(Boolean))];
+}
+
+// "Download all" is a navigation, which can't send X-Session-Key, so the uploader asks for a
+// short-lived signed link first; following it counts as the uploader for the session's own files
+const SESSION_DOWNLOAD_LINK_TTL = 5 * 60; // seconds
+
+app.post('/api/session/:sessionKey/download-link', (req, res) => {
+    const { sessionKey } = req.params;
+    if (req.headers['x-session-key'] !== sessionKey) {
+        return res.status(403).json({ error: 'Only the session itself can create download links' });
+    }
+    const expires = Math.floor(Date.now() / 1000) + SESSION_DOWNLOAD_LINK_TTL;
+    const signature = createUrlSignature(`session.${sessionKey}`, expires, accessSecret);
+    res.json({
+        url: `/api/session/${encodeURIComponent(sessionKey)}/download?expires=${expires}&signature=${signature}`,
+        expiresAt: new Date(expires * 1000)
+    });
+});
+
+// Zip of every file in a session, or of the shortIds in ?ids= among them
+app.get('/api/session/:sessionKey/download', async (req, res) => {
+    try {
+        const { sessionKey } = req.params;
+        if (verifyUrlSignature(`session.${sessionKey}`, req.query.expires, req.query.signature, accessSecret)) {
+            req.signedSessionKey = sessionKey;
+        }
+        const ids = parseShortIdList(req.query.ids);
+        const query = ids.length ? { sessionKey, shortId: { $in: ids } } : { sessionKey };
+        const files = await File.find(query).sort({ uploadDate: -1 });
+        if (files.length === 0) {
+            return res.status(404).json({ error: 'No files in this session' });
+        }
+        await sendFilesAsZip(req, res, files, `session-${sessionKey.substring(0, 8)}.zip`);
+    } catch (error) {
+        console.error('Session download error:', error);
+        res.status(500).json({ error: 'Failed to download session' });
+    }
+});
+
+// Zip of a list of files: /api/files/download?ids=abc123,def456
+app.get('/api/files/download', async (req, res) => {
+    try {
+        const ids = parseShortIdList(req.query.ids);
+        if (ids.length === 0 || ids.length > MAX_ZIP_IDS) {
+            return res.status(400).json({ error: `Pass between 1 and ${MAX_ZIP_IDS} comma separated file IDs as ?ids=` });
+        }
+        const found = await File.find({ shortId: { $in: ids } });
+        const files = ids.map(id => found.find(file => file.shortId === id)).filter(Boolean);
+        if (files.length === 0) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        await sendFilesAsZip(req, res, files, `ohiofiles-${new Date().toISOString().split('T')[0]}.zip`);
+    } catch (error) {
+        console.error('Files download error:', error);
+        res.status(500).json({ error: 'Failed to download files' });
+    }
+});
+
 // Notification API endpoints
 // Get active notification for public display
 app.get('/api/notification', async (req, res) => {
@@ -1205,10 +3666,13 @@ app.get('/api/admin/sessions/:sessionKey', async (req, res) => {
         const totalSize = files.reduce((sum, file) => sum + file.size, 0);
         const uniqueIps = [...new Set(files.map(file => file.ip))];
         
+        const quota = await getSessionQuota(sessionKey);
+
         res.json({
             sessionKey,
             fileCount: files.length,
             totalSize,
+            quota,
             ips: uniqueIps,
             firstUpload: files[files.length - 1].uploadDate,
             lastActivity: files[0].uploadDate,
@@ -1233,20 +3697,11 @@ app.delete('/api/admin/sessions/:sessionKey', async (req, res) => {
         const { sessionKey } = req.params;
         const files = await File.find({ sessionKey });
         
-        // Delete physical files
-        const fs = require('fs');
-        for (const file of files) {
-            try {
-                if (fs.existsSync(file.path)) {
-                    fs.unlinkSync(file.path);
-                }
-            } catch (err) {
-                console.log('Error deleting file:', file.path, err);
-            }
-        }
-        
         // Delete from database
         const result = await File.deleteMany({ sessionKey });
+
+        // Delete physical files (shared blobs stay until their last reference is gone)
+        await releaseFiles(files);
         
         res.json({ 
             message: 'Session deleted successfully',
@@ -1258,6 +3713,33 @@ app.delete('/api/admin/sessions/:sessionKey', async (req, res) => {
     }
 });
 
+// Override the quota of one session; send null for a field to use the global setting again
+app.put('/api/admin/sessions/:sessionKey/quota', async (req, res) => {
+    try {
+        const { sessionKey } = req.params;
+        const { maxMB, maxFiles } = req.body;
+        for (const value of [maxMB, maxFiles]) {
+            if (value !== null && value !== undefined && (typeof value !== 'number' || value < 0)) {
+                return res.status(400).json({ error: 'Quota values must be non-negative numbers or null' });
+            }
+        }
+
+        if ((maxMB === null || maxMB === undefined) && (maxFiles === null || maxFiles === undefined)) {
+            await SessionQuota.deleteOne({ sessionKey });
+        } else {
+            await SessionQuota.updateOne(
+                { sessionKey },
+                { sessionKey, maxMB: maxMB ?? null, maxFiles: maxFiles ?? null, updatedAt: new Date() },
+                { upsert: true }
+            );
+        }
+        res.json({ success: true, quota: await getSessionQuota(sessionKey) });
+    } catch (error) {
+        console.error('Error updating session quota:', error);
+        res.status(500).json({ error: 'Failed to update session quota' });
+    }
+});
+
 // Clean orphaned files (files without session keys)
 app.post('/api/admin/sessions/cleanup-orphaned', async (req, res) => {
     try {
@@ -1269,18 +3751,6 @@ app.post('/api/admin/sessions/cleanup-orphaned', async (req, res) => {
             ]
         });
         
-        // Delete physical files
-        const fs = require('fs');
-        for (const file of orphanedFiles) {
-            try {
-                if (fs.existsSync(file.path)) {
-                    fs.unlinkSync(file.path);
-                }
-            } catch (err) {
-                console.log('Error deleting orphaned file:', file.path, err);
-            }
-        }
-        
         // Delete from database
         const result = await File.deleteMany({
             $or: [
@@ -1289,6 +3759,9 @@ app.post('/api/admin/sessions/cleanup-orphaned', async (req, res) => {
                 { sessionKey: '' }
             ]
         });
+
+        // Delete physical files (shared blobs stay until their last reference is gone)
+        await releaseFiles(orphanedFiles);
         
         res.json({
             message: 'Orphaned files cleaned up successfully',
@@ -1309,25 +3782,56 @@ app.get('/api/file/:shortId/info', async (req, res) => {
         if (!file) {
             return res.status(404).json({ error: 'File not found' });
         }
+
+        if (getFileUnavailableReason(file)) {
+            return res.status(410).json({ error: 'File is no longer available' });
+        }
+
+        if (!hasSignedUrlAccess(req, file)) {
+            return res.status(403).json({ error: 'Signed URL required', signedUrlRequired: true });
+        }
+
+        if (!hasFileAccess(req, file)) {
+            return res.status(401).json({ error: 'Password required', passwordProtected: true });
+        }
         
-        const filePath = path.resolve(file.path);
+        const stats = await fileStorage.stat(getStorageKey(file));
         
-        if (!fs.existsSync(filePath)) {
+        if (!stats) {
             return res.status(404).json({ error: 'File not found on disk' });
         }
         
-        const stats = fs.statSync(filePath);
-        const mimeType = getOptimizedMimeType(file.originalName);
+        const mimeType = getFileContentType(file);
         
         res.json({
             shortId: file.shortId,
             originalName: file.originalName,
             size: stats.size,
             mimeType: mimeType,
-            supportsRangeRequests: supportsRangeRequests(mimeType),
+            supportsRangeRequests: !getDownloadLimit(file),
             uploadDate: file.uploadDate,
             isPublic: file.isPublic,
-            lastModified: stats.mtime
+            lastModified: stats.mtime,
+            expiresAt: file.expiresAt,
+            maxDownloads: file.maxDownloads,
+            burnAfterRead: file.burnAfterRead,
+            downloadCount: file.downloadCount,
+            passwordProtected: !!file.passwordHash,
+            scanStatus: file.scanStatus,
+            e2eEncrypted: file.e2eEncrypted,
+            thumbnailUrl: getThumbnailUrl(file),
+            transcoding: await getTranscodeInfo(file),
+            archiveUrl: canBrowseArchive(file) ? `/a/${file.shortId}` : null,
+            pageUrl: file.e2eEncrypted ? null : `/v/${file.shortId}`,
+            snippet: file.snippet ? {
+                language: file.language || null,
+                url: `/p/${file.shortId}`,
+                rawUrl: `/p/${file.shortId}/raw`
+            } : null,
+            signedUrlsOnly: requiresSignedUrl(file),
+            allowedReferers: file.allowedReferers && file.allowedReferers.length ? file.allowedReferers : null,
+            // Only the uploader sees how often the file was downloaded, updated every minute
+            downloadStats: isFileOwner(req, file) ? await getFileDownloadStats(file) : null
         });
     } catch (error) {
         console.error('File info error:', error);
@@ -1335,6 +3839,297 @@ app.get('/api/file/:shortId/info', async (req, res) => {
     }
 });
 
+// Signed, expiring URL of a file for its uploader, who sends the session key in X-Session-Key.
+// Body: { expiresIn } in seconds, 1 hour by default. Any file can have one; it also passes hotlink protection.
+app.post('/api/file/:shortId/signed-url', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId });
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (!isFileOwner(req, file)) {
+            return res.status(403).json({ error: 'Only the uploader can create signed links' });
+        }
+        if (getFileUnavailableReason(file)) {
+            return res.status(410).json({ error: 'File is no longer available' });
+        }
+
+        const expiresIn = req.body.expiresIn === undefined ? SIGNED_URL_DEFAULT_TTL : Number(req.body.expiresIn);
+        if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > SIGNED_URL_MAX_TTL) {
+            return res.status(400).json({ error: `expiresIn must be between 60 and ${SIGNED_URL_MAX_TTL} seconds` });
+        }
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const signature = createUrlSignature(file.shortId, expires, accessSecret);
+        res.json({
+            url: `/${file.storedName}?expires=${expires}&signature=${signature}`,
+            expiresAt: new Date(expires * 1000)
+        });
+    } catch (error) {
+        console.error('Signed URL error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Thumbnail of an image or poster frame of a video, made on the first request if needed.
+// Clients without one (404) fall back to the original file.
+app.get('/api/file/:shortId/thumbnail', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId });
+        if (!file || !canHaveThumbnail(file)) {
+            return res.status(404).json({ error: 'No thumbnail for this file' });
+        }
+        const accessError = getFileApiError(req, file);
+        if (accessError) {
+            return sendFileApiError(res, accessError);
+        }
+        if (!isHotlinkAllowed(req, file)) {
+            return sendHotlinkBlocked(res);
+        }
+
+        const key = await ensureThumbnail(file);
+        const stats = key && await fileStorage.stat(key);
+        if (!stats) {
+            return res.status(404).json({ error: 'No thumbnail for this file' });
+        }
+
+        const thumbnailETag = `"thumb-${file.blobHash}"`;
+        res.setHeader('ETag', thumbnailETag);
+        res.setHeader('Content-Type', THUMBNAIL_CONTENT_TYPE);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        // Thumbnail URLs carry the content hash, so they never change; shared caches only get public files
+        res.setHeader('Cache-Control', file.expiresAt || file.passwordHash
+            ? 'private, max-age=3600'
+            : 'public, max-age=31536000, immutable');
+        if (fresh(req.headers, { etag: thumbnailETag })) {
+            return res.status(304).end();
+        }
+        res.setHeader('Content-Length', stats.size);
+        await streamFromStorage(req, res, key, {}, 'Error serving thumbnail');
+    } catch (error) {
+        console.error('Thumbnail error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Playlists and segments of a transcoded video. The version in the path is part of the content
+// hash, so the playlists' relative segment URLs change with the content and can be cached for good.
+app.get('/api/file/:shortId/hls/:version/*', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId });
+        if (!file || !canTranscode(file) || req.params.version !== file.blobHash.slice(0, 12)) {
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+        const accessError = getFileApiError(req, file);
+        if (accessError) {
+            return sendFileApiError(res, accessError);
+        }
+        if (!isHotlinkAllowed(req, file)) {
+            return sendHotlinkBlocked(res);
+        }
+
+        const name = req.params[0];
+        const blob = await Blob.findOne({ hash: file.blobHash });
+        if (!blob || blob.hlsStatus !== 'ready' || !blob.hlsFiles.includes(name)) {
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+        const key = getHlsKey(blob.hash, name);
+        const stats = await fileStorage.stat(key);
+        if (!stats) {
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+
+        res.setHeader('Content-Type', getHlsContentType(name));
+        res.setHeader('Cache-Control', file.expiresAt || file.passwordHash
+            ? 'private, max-age=3600'
+            : 'public, max-age=31536000, immutable');
+        const download = openDownload(req, res, [file]);
+        if (!download) {
+            return;
+        }
+        res.setHeader('Content-Length', stats.size);
+        trackDownload(req, res, file, { partial: true });
+        await streamFromStorage(req, res, key, {}, 'Error serving stream', download);
+    } catch (error) {
+        console.error('HLS error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Entries of a zip or tar(.gz) archive
+app.get('/api/file/:shortId/archive', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId });
+        if (!file || !canBrowseArchive(file)) {
+            return res.status(404).json({ error: 'Not an archive' });
+        }
+        const accessError = getFileApiError(req, file);
+        if (accessError) {
+            return sendFileApiError(res, accessError);
+        }
+        if (!isHotlinkAllowed(req, file)) {
+            return sendHotlinkBlocked(res);
+        }
+        const listing = await getArchiveListing(file);
+        if (!listing) {
+            return res.status(404).json({ error: 'File not found on disk' });
+        }
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.json({
+            format: listing.format,
+            truncated: listing.truncated,
+            entries: listing.entries.map(({ location, ...entry }) => entry)
+        });
+    } catch (error) {
+        if (error.archiveError) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error('Archive listing error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Download a single archive entry, by its index in the listing
+app.get('/api/file/:shortId/archive/:index', async (req, res) => {
+    try {
+        const file = await File.findOne({ shortId: req.params.shortId });
+        if (!file || !canBrowseArchive(file)) {
+            return res.status(404).json({ error: 'Not an archive' });
+        }
+        const accessError = getFileApiError(req, file);
+        if (accessError) {
+            return sendFileApiError(res, accessError);
+        }
+        if (!isHotlinkAllowed(req, file)) {
+            return sendHotlinkBlocked(res);
+        }
+        const listing = /^\d+$/.test(req.params.index) ? await getArchiveListing(file) : null;
+        const entry = listing && listing.entries[Number(req.params.index)];
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+        if (!entry.extractable) {
+            return res.status(422).json({ error: entry.unsafe ? 'The entry has an unsafe path' : 'This entry can\'t be extracted' });
+        }
+        const download = openDownload(req, res, [file]);
+        if (!download) {
+            return;
+        }
+
+        const key = getStorageKey(file);
+        const data = download.throttle(await extractArchiveEntry(range => fileStorage.get(key, range), listing, entry));
+        trackDownload(req, res, file, { partial: true });
+        // Always a download: archives can hold HTML and scripts that must not run on our origin
+        res.attachment(path.posix.basename(entry.path));
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Cache-Control', file.expiresAt || file.passwordHash ? 'private, no-store' : 'public, max-age=86400');
+        // Zip entries are cut off when they don't match their declared size, tar entries are exact
+        res.setHeader('Content-Length', entry.size);
+        data.pipe(res);
+        data.on('error', (err) => {
+            console.error('Archive extraction error:', err.message);
+            if (!res.headersSent) {
+                res.status(422).json({ error: 'The entry could not be extracted' });
+            } else {
+                res.destroy(err);
+            }
+        });
+        res.on('close', () => data.destroy());
+    } catch (error) {
+        if (error.archiveError) {
+            return res.status(422).json({ error: error.message });
+        }
+        console.error('Archive extraction error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unlock a password-protected file by setting a short-lived access cookie.
+// The unlock page's form is redirected back to the file, JSON clients get the expiry.
+// Wrong passwords are counted per client (req.ip, see TRUST_PROXY) and per file, so clients
+// spread over many addresses can't keep guessing either.
+const unlockAttempts = new Map(); // key: ip + shortId or shortId alone, value: { count, resetAt }
+const MAX_UNLOCK_ATTEMPTS = 10;        // wrong passwords per client and file per 15 minutes
+const MAX_FILE_UNLOCK_ATTEMPTS = 100;  // wrong passwords per file per 15 minutes, from all clients
+
+function getUnlockAttempts(key, now) {
+    let attempts = unlockAttempts.get(key);
+    if (!attempts || attempts.resetAt < now) {
+        attempts = { count: 0, resetAt: now + 15 * 60 * 1000 };
+        unlockAttempts.set(key, attempts);
+    }
+    return attempts;
+}
+
+// Forget attempts whose window has passed
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, attempts] of unlockAttempts) {
+        if (attempts.resetAt < now) {
+            unlockAttempts.delete(key);
+        }
+    }
+}, 10 * 60 * 1000);
+
+app.post('/api/file/:shortId/unlock', async (req, res) => {
+    const isForm = !req.is('application/json');
+    try {
+        const { shortId } = req.params;
+        const file = await File.findOne({ shortId });
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (getFileUnavailableReason(file)) {
+            return isForm
+                ? sendUnavailablePage(res, file, getFileUnavailableReason(file))
+                : res.status(410).json({ error: 'File is no longer available' });
+        }
+
+        const attemptKey = `${req.ip}:${shortId}`;
+        const now = Date.now();
+        const attempts = getUnlockAttempts(attemptKey, now);
+        const fileAttempts = getUnlockAttempts(shortId, now);
+        if (attempts.count >= MAX_UNLOCK_ATTEMPTS || fileAttempts.count >= MAX_FILE_UNLOCK_ATTEMPTS) {
+            return res.status(429).json({ error: 'Too many attempts - try again later' });
+        }
+
+        const password = String(req.body.password || '');
+        if (file.passwordHash && !(await verifyPassword(password, file.passwordHash))) {
+            attempts.count++;
+            fileAttempts.count++;
+            if (isForm) {
+                return res.status(401).send(renderUnlockPage({
+                    shortId,
+                    fileName: file.originalName,
+                    returnTo: req.body.returnTo || `/${file.storedName}`,
+                    error: 'Wrong password'
+                }));
+            }
+            return res.status(401).json({ error: 'Wrong password' });
+        }
+        unlockAttempts.delete(attemptKey);
+
+        res.cookie(getAccessCookieName(file), createAccessToken(shortId, accessSecret, FILE_ACCESS_TTL), {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: FILE_ACCESS_TTL,
+            path: '/'
+        });
+
+        if (isForm) {
+            // Only redirect to paths on this site
+            const returnTo = String(req.body.returnTo || '');
+            const target = /^\/(?![\/\\])/.test(returnTo) ? returnTo : `/${file.storedName}`;
+            return res.redirect(303, target);
+        }
+        res.json({ success: true, expiresAt: new Date(now + FILE_ACCESS_TTL) });
+    } catch (error) {
+        console.error('File unlock error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // API endpoint to get streaming statistics
 app.get('/api/admin/streaming-stats', adminAuth, async (req, res) => {
     try {
@@ -1371,41 +4166,6 @@ app.get('/api/admin/streaming-stats', adminAuth, async (req, res) => {
     }
 });
 
-// API endpoint to get file metadata for streaming optimization
-app.get('/api/file/:shortId/info', async (req, res) => {
-    try {
-        const { shortId } = req.params;
-        const file = await File.findOne({ shortId });
-        
-        if (!file) {
-            return res.status(404).json({ error: 'File not found' });
-        }
-        
-        const filePath = path.resolve(file.path);
-        
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ error: 'File not found on disk' });
-        }
-        
-        const stats = fs.statSync(filePath);
-        const mimeType = getOptimizedMimeType(file.originalName);
-        
-        res.json({
-            shortId: file.shortId,
-            originalName: file.originalName,
-            size: stats.size,
-            mimeType: mimeType,
-            supportsRangeRequests: supportsRangeRequests(mimeType),
-            uploadDate: file.uploadDate,
-            isPublic: file.isPublic,
-            lastModified: stats.mtime
-        });
-    } catch (error) {
-        console.error('File info error:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
 app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
     console.log(`Enhanced caching and streaming support enabled`);
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { listArchive, extractArchiveEntry } = require('../lib/archive');
+
+// ustar header block of a regular file
+function tarHeader(name, size) {
+    const block = Buffer.alloc(512);
+    block.write(name, 0, 'utf8');
+    block.write('0000644\0', 100, 'latin1');
+    block.write(size.toString(8).padStart(11, '0') + '\0', 124, 'latin1');
+    block.write('00000000000\0', 136, 'latin1');
+    block.write('0', 156, 'latin1');
+    block.write('ustar\u000000', 257, 'latin1');
+    block.fill(' ', 148, 156);
+    let sum = 0;
+    for (const byte of block) sum += byte;
+    block.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 'latin1');
+    return block;
+}
+
+// Chunks of a tar archive of `files` ([name, size, fill byte]), with the data generated as it is read
+function* tarChunks(files) {
+    for (const [name, size, fill] of files) {
+        yield tarHeader(name, size);
+        const chunk = Buffer.alloc(1024 * 1024, fill);
+        for (let left = Math.ceil(size / 512) * 512; left > 0; left -= chunk.length) {
+            yield left >= chunk.length ? chunk : Buffer.alloc(left, fill);
+        }
+    }
+    yield Buffer.alloc(1024);
+}
+
+async function gzipTar(files) {
+    const chunks = [];
+    for await (const chunk of Readable.from(tarChunks(files)).pipe(zlib.createGzip())) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function reader(data) {
+    return async ({ start = 0, end = data.length - 1 } = {}) => Readable.from([data.subarray(start, end + 1)]);
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+test('tar.gz entries are listed and extracted', async () => {
+    const archive = await gzipTar([['a.txt', 5, 0x61], ['dir/b.txt', 700, 0x62]]);
+    const listing = await listArchive(reader(archive), { format: 'tar.gz', size: archive.length });
+    assert.strictEqual(listing.truncated, false);
+    assert.deepStrictEqual(listing.entries.map(entry => [entry.path, entry.size]), [['a.txt', 5], ['dir/b.txt', 700]]);
+
+    const data = await readAll(await extractArchiveEntry(reader(archive), { format: 'tar.gz' }, listing.entries[1]));
+    assert.ok(data.equals(Buffer.alloc(700, 0x62)));
+});
+
+test('a tar.gz that unpacks to far more than its size is only listed in part', async () => {
+    // 300MB of zeros compress to a few hundred KB
+    const archive = await gzipTar([['zeros.bin', 300 * 1024 * 1024, 0], ['after.txt', 5, 0x61]]);
+    assert.ok(archive.length < 1024 * 1024);
+    const listing = await listArchive(reader(archive), { format: 'tar.gz', size: archive.length });
+    assert.strictEqual(listing.truncated, true);
+    assert.deepStrictEqual(listing.entries.map(entry => entry.path), ['zeros.bin']);
+});
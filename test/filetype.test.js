@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectContentType, resolveContentType } = require('../lib/filetype');
+
+test('the extension narrows plain text to a more specific text type', () => {
+    assert.strictEqual(resolveContentType('text/plain', 'text/css'), 'text/css');
+    assert.strictEqual(resolveContentType('text/plain', 'text/markdown'), 'text/markdown');
+    assert.strictEqual(resolveContentType('text/plain', 'application/json'), 'application/json');
+});
+
+test('plain text never becomes markup because of its name', () => {
+    for (const type of ['text/html', 'image/svg+xml', 'application/xhtml+xml', 'application/xml', 'text/xml']) {
+        assert.strictEqual(resolveContentType('text/plain', type), 'text/plain', type);
+    }
+});
+
+test('markup is recognised by its content', () => {
+    assert.strictEqual(detectContentType(Buffer.from('<!DOCTYPE html><p>hi</p>')), 'text/html');
+    assert.strictEqual(detectContentType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>')), 'image/svg+xml');
+    assert.strictEqual(detectContentType(Buffer.from('just <b>some</b> text')), 'text/plain');
+});
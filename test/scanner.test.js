@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { Readable } = require('stream');
+const { MAX_SCAN_ATTEMPTS, createScanner, getScanOutcome } = require('../lib/scanner');
+
+// Length-prefixed chunks after the INSTREAM command, or null until the terminating empty chunk arrived
+function parseInstream(data) {
+    const command = Buffer.from('zINSTREAM\0');
+    if (data.length < command.length) return null;
+    assert.ok(data.subarray(0, command.length).equals(command));
+    const chunks = [];
+    let offset = command.length;
+    while (data.length >= offset + 4) {
+        const length = data.readUInt32BE(offset);
+        if (length === 0) return Buffer.concat(chunks);
+        if (data.length < offset + 4 + length) return null;
+        chunks.push(data.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+    return null;
+}
+
+// Fake clamd: answers with `reply(content)`, or hangs up when it returns null
+async function startClamd(reply) {
+    const received = [];
+    const server = net.createServer((socket) => {
+        let data = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            data = Buffer.concat([data, chunk]);
+            const content = parseInstream(data);
+            if (!content) return;
+            received.push(content);
+            const text = reply(content);
+            if (text === null) socket.destroy();
+            else socket.end(`${text}\0`);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const scanner = createScanner({ driver: 'clamd', clamd: { host: '127.0.0.1', port: server.address().port, timeout: 2000 } });
+    return { scanner, received, close: () => server.close() };
+}
+
+test('clean content is sent in length-prefixed chunks', async (t) => {
+    const clamd = await startClamd(() => 'stream: OK');
+    t.after(clamd.close);
+    const content = Buffer.alloc(200000, 'a');
+    const result = await clamd.scanner.scan(Readable.from([content.subarray(0, 70000), content.subarray(70000)]));
+    assert.deepStrictEqual(result, { infected: false, signature: null });
+    assert.ok(clamd.received[0].equals(content));
+});
+
+test('a FOUND reply reports the signature', async (t) => {
+    const clamd = await startClamd(() => 'stream: Eicar-Test-Signature FOUND');
+    t.after(clamd.close);
+    const result = await clamd.scanner.scan(Readable.from([Buffer.from('X5O!P%@AP')]));
+    assert.deepStrictEqual(result, { infected: true, signature: 'Eicar-Test-Signature' });
+});
+
+test('a size limit error is permanent', async (t) => {
+    const clamd = await startClamd(() => 'INSTREAM size limit exceeded. ERROR');
+    t.after(clamd.close);
+    await assert.rejects(clamd.scanner.scan(Readable.from([Buffer.from('big')])), (err) => {
+        assert.match(err.message, /size limit exceeded/);
+        assert.strictEqual(err.permanent, true);
+        return true;
+    });
+});
+
+test('other errors can be retried', async (t) => {
+    const clamd = await startClamd(() => 'Something went wrong. ERROR');
+    t.after(clamd.close);
+    await assert.rejects(clamd.scanner.scan(Readable.from([Buffer.from('x')])), (err) => err.permanent === false);
+});
+
+test('a dropped connection fails the scan', async (t) => {
+    const clamd = await startClamd(() => null);
+    t.after(clamd.close);
+    await assert.rejects(clamd.scanner.scan(Readable.from([Buffer.from('x')])), /clamd/);
+});
+
+test('scan results become file states', () => {
+    assert.deepStrictEqual(getScanOutcome({ result: { infected: false, signature: null } }), { scanStatus: 'clean', scanResult: null });
+    assert.deepStrictEqual(getScanOutcome({ result: { infected: true, signature: 'Eicar' } }), { scanStatus: 'infected', scanResult: 'Eicar' });
+
+    const error = new Error('clamd did not answer in time');
+    assert.deepStrictEqual(getScanOutcome({ error, attempts: 1 }), { scanStatus: 'pending', scanResult: 'Scan failed: clamd did not answer in time' });
+    assert.strictEqual(getScanOutcome({ error, attempts: MAX_SCAN_ATTEMPTS - 1 }).scanStatus, 'pending');
+    assert.strictEqual(getScanOutcome({ error, attempts: MAX_SCAN_ATTEMPTS }).scanStatus, 'scan-failed');
+
+    const permanent = Object.assign(new Error('clamd: INSTREAM size limit exceeded. ERROR'), { permanent: true });
+    assert.strictEqual(getScanOutcome({ error: permanent, attempts: 1 }).scanStatus, 'scan-failed');
+});
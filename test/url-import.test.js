@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createImporter } = require('../lib/url-import');
+
+// Local server for the imports; `routes` maps paths to handlers
+async function startServer(routes) {
+    const server = http.createServer((req, res) => {
+        const route = routes[new URL(req.url, 'http://localhost').pathname];
+        if (!route) {
+            res.writeHead(404);
+            return res.end();
+        }
+        route(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { port: server.address().port, close: () => server.close() };
+}
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-import-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'download');
+}
+
+test('only http and https URLs are accepted', () => {
+    const importer = createImporter();
+    assert.throws(() => importer.checkUrl('not a url'), { status: 400, message: 'Invalid URL' });
+    assert.throws(() => importer.checkUrl('ftp://example.com/file'), { status: 400 });
+    assert.throws(() => importer.checkUrl('file:///etc/passwd'), { status: 400 });
+    assert.strictEqual(importer.checkUrl('https://example.com/file.zip').hostname, 'example.com');
+});
+
+test('internal IP addresses are refused', () => {
+    const importer = createImporter();
+    for (const url of [
+        'http://127.0.0.1/', 'http://10.1.2.3/', 'http://192.168.0.1/', 'http://172.16.5.5/',
+        'http://169.254.169.254/latest/meta-data/', 'http://0.0.0.0/', 'http://[::1]/',
+        'http://[::ffff:127.0.0.1]/', 'http://[fd00::1]/'
+    ]) {
+        assert.throws(() => importer.checkUrl(url), { status: 400, message: 'That address is not allowed' }, url);
+    }
+});
+
+test('host names resolving to internal addresses are refused when connecting', async (t) => {
+    let requested = false;
+    const server = await startServer({ '/file.txt': (req, res) => { requested = true; res.end('secret'); } });
+    t.after(server.close);
+    const importer = createImporter();
+    await assert.rejects(
+        importer.downloadDirect(`http://localhost:${server.port}/file.txt`, tempFile(t), { maxBytes: 1000 }),
+        { status: 400, message: 'That address is not allowed' }
+    );
+    assert.strictEqual(requested, false);
+});
+
+test('files are downloaded with their name', async (t) => {
+    const server = await startServer({
+        '/get': (req, res) => {
+            res.writeHead(200, { 'content-type': 'text/plain', 'content-disposition': 'attachment; filename="notes.txt"' });
+            res.end('hello world');
+        }
+    });
+    t.after(server.close);
+    const destPath = tempFile(t);
+    const importer = createImporter({ allowPrivateAddresses: true });
+    const result = await importer.downloadDirect(`http://127.0.0.1:${server.port}/get`, destPath, { maxBytes: 1000 });
+    assert.deepStrictEqual(result, { isHtml: false, fileName: 'notes.txt', size: 11 });
+    assert.strictEqual(fs.readFileSync(destPath, 'utf8'), 'hello world');
+});
+
+test('files over the size limit are refused by their Content-Length', async (t) => {
+    const server = await startServer({
+        '/big': (req, res) => {
+            res.writeHead(200, { 'content-length': 5000 });
+            res.end(Buffer.alloc(5000));
+        }
+    });
+    t.after(server.close);
+    const importer = createImporter({ allowPrivateAddresses: true });
+    await assert.rejects(
+        importer.downloadDirect(`http://127.0.0.1:${server.port}/big`, tempFile(t), { maxBytes: 1000 }),
+        { status: 413 }
+    );
+});
+
+test('downloads without a Content-Length stop at the size limit', async (t) => {
+    let sent = 0;
+    const server = await startServer({
+        '/stream': (req, res) => {
+            res.writeHead(200, { 'content-type': 'application/octet-stream' });
+            const timer = setInterval(() => {
+                sent += 1000;
+                res.write(Buffer.alloc(1000));
+                if (sent >= 100000) {
+                    clearInterval(timer);
+                    res.end();
+                }
+            }, 1);
+            res.on('close', () => clearInterval(timer));
+        }
+    });
+    t.after(server.close);
+    const destPath = tempFile(t);
+    const importer = createImporter({ allowPrivateAddresses: true });
+    await assert.rejects(
+        importer.downloadDirect(`http://127.0.0.1:${server.port}/stream`, destPath, { maxBytes: 5000 }),
+        { status: 413 }
+    );
+    assert.ok(sent < 100000, 'the download was not cut off');
+    assert.ok(!fs.existsSync(destPath) || fs.statSync(destPath).size <= 5000);
+});
+
+test('HTML pages are left to yt-dlp', async (t) => {
+    const server = await startServer({
+        '/page': (req, res) => {
+            res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+            res.end('<html></html>');
+        }
+    });
+    t.after(server.close);
+    const importer = createImporter({ allowPrivateAddresses: true });
+    const result = await importer.downloadDirect(`http://127.0.0.1:${server.port}/page`, tempFile(t), { maxBytes: 1000, htmlFallback: true });
+    assert.deepStrictEqual(result, { isHtml: true });
+});